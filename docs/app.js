@@ -1,135 +1,435 @@
+import {
+  idx, createGrid, ADJ_LABELS, TILINGS, tilingOf, defaultAdjacency, computeCounts, makeRng, hashSeed,
+  placeMines, revealCell, applyMove, mineIndices, checkWin, countFlaggedNeighbors, canChord,
+  playable, playableCount, SHAPES, shapeMask, TOPOLOGIES, wrapCell, minesIn, flagsOn, addMine, addFlag,
+  NO_GUESS_BUDGET, neighborIndexLists, constraintAt, findDeductions, placeMinesNoGuess, boardMetrics, puzzleAmbiguity,
+  mineOdds, ODDS_BUDGET, ODDS_SWEEPS, visibleBoard, cellOffsets, neighborCells
+} from './engine.js';
+
 const NUMBER_COLORS = {1:'#3ec7ff',2:'#ff6b6b',3:'#ffd27a',4:'#a88cff',5:'#ff9fb3',6:'#7ce7ff',7:'#d3d3d3',8:'#b0c4de'};
+// A scale's fixed colors cover 1, 2, ...; higher counts follow its gradient on a log scale that tops out at NUMBER_SCALE_TOP.
+const NUMBER_SCALES = {
+  classic:{ label:'Classic', fixed:Object.values(NUMBER_COLORS), stops:['#9be7ff','#ffd27a','#ff9f6b','#ff5c8a'] },
+  okabeIto:{ label:'Okabe–Ito (colorblind-safe)', fixed:['#56b4e9','#e69f00','#009e73','#f0e442','#cc79a7','#d55e00','#0072b2','#ffffff'], stops:['#7c7b78','#bcaf6f','#ffea46'] },
+  viridis:{ label:'Viridis (colorblind-safe)', stops:['#3b528b','#21918c','#5ec962','#fde725'] },
+  cividis:{ label:'Cividis (colorblind-safe)', stops:['#3a5a92','#7c7b78','#bcaf6f','#ffea46'] },
+  custom:{ label:'Custom gradient', stops:null }
+};
+const NUMBER_SCALE_TOP = 256;
+// Board colors for the canvas and SVG renderers. Built-in themes set them as CSS variables; custom themes carry them.
+const DEFAULT_PALETTE = { cell:'rgba(2,10,20,0.9)', revealed:'rgba(10,28,40,0.95)', flagged:'rgba(60,20,20,0.95)', mine:'rgba(140,50,40,0.98)', scale:'classic', low:'#3ec7ff', high:'#ff6b6b' };
+let palette = { ...DEFAULT_PALETTE };
 
 let gameGrid = null;
 let running = false;
 let firstClick = true;
 let currentAdjacency = 'all8';
+let currentTiling = 'square';
 let customAdj = {};
 let isLoading = false;
+let hintsUsed = 0;
+let gameSeed = '';
+let seedMissed = false; // the seeded no-guess search ran out of attempts, so the board may need a guess
+let journal = newJournal();
+let activeHint = null;
+let cursor = -1;
+let oddsShown = false;
+let customMask = null; // { rows, cols, holes } painted in the mask editor, resampled to the board size
+let gameMode = { kind:'classic', n:0 }; // fixed when a game starts; the selector only applies to the next one
+let currentSlot = null; // the save slot this game was loaded from or saved to; saveAll keeps it up to date
+let currentPuzzle = null; // id of the pack puzzle on the board, so winning it marks it solved
+let gameSettings = null; // settings as of the last saveAll: the ones the game on the board is played with, even mid-change
 const view = { scale: 0.6, tx: 0, ty: 0 };
 
-const STORAGE_KEY = 'polyweave_state_v1';
+const STORAGE_KEY = 'polyweave_state_v1'; // v1 game + settings, only read to migrate
+const SETTINGS_VERSION = 2;
+const SETTINGS_KEY = 'polyweave_settings_v2'; // { v, settings, view }
+const GAME_KEY = 'polyweave_game_v2'; // the game on the board: { game, elapsedSeconds, slot }
+const SLOTS_KEY = 'polyweave_slots_v2'; // { v, slots:[{ id, name, date, board, adjacency, progress }] }
+const SLOT_PREFIX = 'polyweave_slot_v2:'; // + slot id → a game like GAME_KEY plus its settings and pattern
+const DAILY_RULES = [
+  { tiling:'square', adjacency:'all8', density:0.17 },
+  { tiling:'square', adjacency:'edges4', density:0.11 },
+  { tiling:'hex', adjacency:'hex6', density:0.15 },
+  { tiling:'hexAxial', adjacency:'hex6', density:0.15 },
+  { tiling:'triangle', adjacency:'tri12', density:0.19 },
+  { tiling:'octasquare', adjacency:'oct', density:0.14 }
+];
 const CUSTOM_KEY = 'polyweave_custom_adj_v1';
+const STATS_KEY = 'polyweave_stats_v1';
+const THEMES_KEY = 'polyweave_themes_v1'; // name → { accent, bg, cell, revealed, flagged, mine, scale, low, high }
+let customThemes = {};
+const PUZZLES_KEY = 'polyweave_puzzles_v1'; // the local puzzle pack, stored in its export format
+const SOLVED_KEY = 'polyweave_puzzles_solved_v1'; // puzzle id → { date, ms }
+let stats = { v:1, configs:{} };
+// n is the mode's one setting: lives, seconds on the clock, or the most mines a cell can hold.
+const GAME_MODES = {
+  classic:{ label:'Classic' },
+  lives:{ label:'Lives', param:'Lives', min:1, max:9, def:3 },
+  countdown:{ label:'Countdown', param:'Seconds', min:10, max:3600, def:300 },
+  flagless:{ label:'Flagless' },
+  multi:{ label:'Multi-mine', param:'Max per cell', min:2, max:3, def:3 }
+};
+let statsSelected = null;
 let timerInterval = null;
 let startTime = null;
 let elapsedSeconds = 0;
-function idx(rows,cols,r,c){ return r*cols + c; }
-function inBounds(rows,cols,r,c){ return r>=0 && r<rows && c>=0 && c<cols; }
-function createGrid(rows,cols){ return { rows, cols, cells: Array(rows*cols).fill(0).map(()=>({ mine:false, revealed:false, flagged:false, count:0 })) }; }
-function squareOffsets(r,c,adj){
-  if (adj === 'edges4') return [[-1,0],[1,0],[0,-1],[0,1]];
-  if (adj === 'all8') return [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]];
-  if (customAdj && customAdj[adj]) return customAdj[adj];
-  return [[-1,0],[1,0],[0,-1],[0,1]];
+const TILING_GEOMETRY = {
+  square:     (rows,cols,side)=> squareCenter(rows,cols,side),
+  hex:        (rows,cols,side)=> hexCenter(rows,cols,side,false),
+  hexAxial:   (rows,cols,side)=> hexCenter(rows,cols,side,true),
+  triangle:   (rows,cols,side)=> triCenter(rows,cols,side),
+  octasquare: (rows,cols,side)=> octCenter(rows,cols,side)
+};
+function resolveAdjacency(name, tiling=currentTiling){
+  if (tilingOf(tiling).adj.includes(name)) return name;
+  if (customAdj && customAdj[name]) return customAdj[name];
+  return defaultAdjacency(tiling);
 }
+function activeAdj(){ return resolveAdjacency(currentAdjacency, gameGrid ? gameGrid.tiling : currentTiling); }
+
 function squareCenter(rows,cols,side){
-  const PAD = 12; const centers=[];
-  for (let r=0;r<rows;r++) for (let c=0;c<cols;c++){ const x = PAD + c*side + side/2; const y = PAD + r*side + side/2; centers.push({r,c,x,y}); }
+  const PAD = 12; const centers=[]; const s = side/2;
+  for (let r=0;r<rows;r++) for (let c=0;c<cols;c++){ const x = PAD + c*side + side/2; const y = PAD + r*side + side/2; centers.push({r,c,x,y,size:side,pts:[[x-s,y-s],[x+s,y-s],[x+s,y+s],[x-s,y+s]]}); }
   return { centers, w: PAD*2 + cols*side, h: PAD*2 + rows*side };
 }
+function hexCenter(rows,cols,side,axial){
+  const PAD = 12; const centers=[]; const R = side/Math.sqrt(3);
+  for (let r=0;r<rows;r++) for (let c=0;c<cols;c++){
+    const shift = axial ? r/2 : (r&1)/2;
+    const x = PAD + (c + shift)*side + side/2, y = PAD + R + r*1.5*R;
+    const pts = []; for (let k=0;k<6;k++){ const a = Math.PI/6 + k*Math.PI/3; pts.push([x + R*Math.cos(a), y + R*Math.sin(a)]); }
+    centers.push({r,c,x,y,size:side,pts});
+  }
+  return { centers, w: PAD*2 + side*(cols + (axial ? (rows-1)/2 : 0.5)), h: PAD*2 + R*(2 + 1.5*(rows-1)) };
+}
+function triCenter(rows,cols,side){
+  const PAD = 12; const centers=[]; const s = side*2, th = s*Math.sqrt(3)/2;
+  for (let r=0;r<rows;r++) for (let c=0;c<cols;c++){
+    const x0 = PAD + c*s/2, y0 = PAD + r*th, up = ((r+c)&1) === 0;
+    const pts = up ? [[x0,y0+th],[x0+s/2,y0],[x0+s,y0+th]] : [[x0,y0],[x0+s,y0],[x0+s/2,y0+th]];
+    centers.push({r,c,x:x0+s/2,y: up ? y0 + th*2/3 : y0 + th/3,size:side,pts});
+  }
+  return { centers, w: PAD*2 + s*(cols+1)/2, h: PAD*2 + rows*th };
+}
+function octCenter(rows,cols,side){
+  const PAD = 12; const centers=[]; const a = side/Math.SQRT2, b = side - a, R = a/Math.cos(Math.PI/8);
+  for (let r=0;r<rows;r++) for (let c=0;c<cols;c++){
+    const x = PAD + a + c*side, y = PAD + a + r*side;
+    let pts;
+    if (((r+c)&1) === 0){ pts=[]; for (let k=0;k<8;k++){ const ang = Math.PI/8 + k*Math.PI/4; pts.push([x + R*Math.cos(ang), y + R*Math.sin(ang)]); } }
+    else pts = [[x-b,y-b],[x+b,y-b],[x+b,y+b],[x-b,y+b]];
+    centers.push({r,c,x,y,size: ((r+c)&1) === 0 ? 2*a : Math.max(2*b, side*0.6),pts});
+  }
+  return { centers, w: PAD*2 + 2*a + (cols-1)*side, h: PAD*2 + 2*a + (rows-1)*side };
+}
 function makeSvg(tag, attrs={}){ const el=document.createElementNS('http://www.w3.org/2000/svg', tag); for (const k in attrs) el.setAttribute(k, String(attrs[k])); return el; }
 function polyPoints(pts){ return pts.map(p=>`${p[0]},${p[1]}`).join(' '); }
-function renderBoard(){
-  const svg = document.getElementById('minefieldSvg');
-  const container = document.getElementById('minefieldContainer');
-  if (!svg || !container || !gameGrid) return;
-  svg.innerHTML = '';
-
-  const rows = gameGrid.rows, cols = gameGrid.cols;
-  const side = Math.max(14, Math.floor(900 / Math.max(12, cols)));
-  const info = squareCenter(rows,cols,side);
+const CANVAS_CELL_THRESHOLD = 12000;
+const board = { grid:null, mode:'svg', info:null, polys:null, labels:null, ghosts:new Map(), overlay:null, ctx:null, k:1, buckets:null, painted:[] };
+
+function cellFill(cl, p=palette){
+  if (cl.mine && cl.revealed) return p.mine;
+  if (cl.flagged) return p.flagged;
+  if (cl.revealed) return p.revealed;
+  return p.cell;
+}
+function cellLabel(cl, p=palette){
+  if (cl.revealed){
+    if (cl.mine) return { text: cl.mines > 1 ? `💣${cl.mines}` : '💣', color:'#fff' };
+    if (cl.count !== 0) return { text:String(cl.count), color: cl.count < 0 ? '#ff9bd2' : numberColor(cl.count, p) };
+  } else if (cl.flagged) return { text: cl.flags > 1 ? `🚩${cl.flags}` : '🚩', color:'#ffb86b' };
+  return { text:'', color:'' };
+}
+// Wrapped boards are laid out two cells larger on every side (an even margin keeps tiling parity), and the margin
+// cells become ghosts: faded copies of the cells the topology glues there.
+const GHOST_MARGIN = 2;
+function boardGeometry(grid){
+  const side = Math.max(14, Math.floor(900 / Math.max(12, grid.cols)));
+  const layout = TILING_GEOMETRY[grid.tiling] || TILING_GEOMETRY.square;
+  if (!grid.topology || grid.topology === 'plain') return { ...layout(grid.rows,grid.cols,side), ghosts:[] };
+  const G = GHOST_MARGIN, ext = layout(grid.rows + 2*G, grid.cols + 2*G, side);
+  const centers = new Array(grid.rows*grid.cols), ghosts = [];
+  for (const cell of ext.centers){
+    const r = cell.r - G, c = cell.c - G;
+    if (r >= 0 && r < grid.rows && c >= 0 && c < grid.cols){ centers[idx(grid.rows,grid.cols,r,c)] = { ...cell, r, c }; continue; }
+    const at = wrapCell(grid,r,c);
+    if (at) ghosts.push({ src: idx(grid.rows,grid.cols,at[0],at[1]), cell });
+  }
+  return { centers, ghosts, w: ext.w, h: ext.h };
+}
+function cellAriaLabel(grid,i){
+  const cl = grid.cells[i];
+  const where = `Row ${Math.floor(i/grid.cols)+1}, column ${i%grid.cols+1}`;
+  if (!cl.revealed) return `${where}: ${cl.flags > 1 ? `flagged ×${cl.flags}` : cl.flagged ? 'flagged' : 'hidden'}`;
+  if (cl.mine) return `${where}: ${cl.mines > 1 ? `${cl.mines} mines` : 'mine'}`;
+  return `${where}: ${cl.count ? `${cl.count} around` : 'empty'}`;
+}
+function labelFontSize(cell){ return Math.max(11, Math.floor(cell.size * 0.45)); }
 
+function drawBoard(svg, grid, interactive, p=palette){
+  svg.innerHTML = '';
+  const info = boardGeometry(grid);
   svg.setAttribute('viewBox', `0 0 ${info.w} ${info.h}`);
   svg.setAttribute('width', info.w);
   svg.setAttribute('height', info.h);
 
+  const polys = [], labels = [];
   for (const cell of info.centers){
-    const r=cell.r, c=cell.c, cx=cell.x, cy=cell.y;
-    const s = side/2;
-    const pts = [[cx-s,cy-s],[cx+s,cy-s],[cx+s,cy+s],[cx-s,cy+s]];
-    const poly = makeSvg('polygon',{ points: polyPoints(pts), stroke:'var(--accent)', 'stroke-width':1.25, fill:'rgba(2,10,20,0.9)', style:'cursor:pointer' });
-    const cellObj = gameGrid.cells[idx(rows,cols,r,c)];
-    if (cellObj.revealed) poly.setAttribute('fill','rgba(10,28,40,0.95)');
-    if (cellObj.flagged) poly.setAttribute('fill','rgba(60,20,20,0.95)');
-    if (cellObj.mine && cellObj.revealed) poly.setAttribute('fill','rgba(140,50,40,0.98)');
-
-    const fontSize = Math.max(11, Math.floor(side * 0.45));
-    const label = makeSvg('text',{ x:cx, y:cy + Math.floor(fontSize*0.35), 'text-anchor':'middle', 'font-size': fontSize, style:'pointer-events:none; user-select:none' });
-
-    if (cellObj.revealed){
-      if (cellObj.mine){ label.textContent='💣'; label.setAttribute('fill','#fff'); }
-      else if (cellObj.count>0){ label.textContent=String(cellObj.count); label.setAttribute('fill', NUMBER_COLORS[cellObj.count]||'#9be7ff'); }
-    } else if (cellObj.flagged){ label.textContent='🚩'; label.setAttribute('fill','#ffb86b'); }
-
-    attachHandlers(poly, r, c);
+    const i = polys.length;
+    if (!playable(grid,i)){ polys.push(null); labels.push(null); continue; }
+    const poly = makeSvg('polygon',{ points: polyPoints(cell.pts), stroke:'var(--accent)', 'stroke-width':1.25, style: interactive ? 'cursor:pointer' : '', 'data-i': i });
+    if (interactive){ poly.setAttribute('id', `cell-${i}`); poly.setAttribute('role', 'button'); }
+    const fontSize = labelFontSize(cell);
+    const label = makeSvg('text',{ x:cell.x, y:cell.y + Math.floor(fontSize*0.35), 'text-anchor':'middle', 'font-size': fontSize, style:'pointer-events:none; user-select:none' });
+    polys.push(poly); labels.push(label);
+    paintSvgCell(poly, label, grid, i, p);
     svg.appendChild(poly);
     svg.appendChild(label);
   }
+  const ghosts = new Map();
+  if (info.ghosts.length){
+    const layer = makeSvg('g',{ opacity:0.4, 'aria-hidden':'true' });
+    for (const { src, cell } of info.ghosts){
+      const poly = makeSvg('polygon',{ points: polyPoints(cell.pts), stroke:'var(--accent)', 'stroke-width':1.25, 'stroke-dasharray':'3 3', style: interactive ? 'cursor:pointer' : '', 'data-i': src });
+      const fontSize = labelFontSize(cell);
+      const label = makeSvg('text',{ x:cell.x, y:cell.y + Math.floor(fontSize*0.35), 'text-anchor':'middle', 'font-size': fontSize, style:'pointer-events:none; user-select:none' });
+      paintSvgCell(poly, label, grid, src, p);
+      layer.appendChild(poly); layer.appendChild(label);
+      if (!ghosts.has(src)) ghosts.set(src, []);
+      ghosts.get(src).push({ poly, label });
+    }
+    svg.appendChild(layer);
+  }
+  return { info, polys, labels, ghosts };
+}
+function paintSvgCell(poly, label, grid, i, p=palette){
+  const cl = grid.cells[i];
+  poly.setAttribute('fill', cellFill(cl, p));
+  if (poly.hasAttribute('role')) poly.setAttribute('aria-label', cellAriaLabel(grid, i));
+  const l = cellLabel(cl, p);
+  if (label.textContent !== l.text) label.textContent = l.text;
+  if (l.color) label.setAttribute('fill', l.color);
+}
 
-  container.style.transform = `translate(${view.tx}px, ${view.ty}px) scale(${view.scale})`;
-  container.style.transformOrigin = 'center center';
+// Boards past CANVAS_CELL_THRESHOLD cells are painted to a canvas: one element instead of two per cell.
+function buildBoard(){
+  const svg = document.getElementById('minefieldSvg');
+  const canvas = document.getElementById('minefieldCanvas');
+  board.grid = gameGrid; board.painted = [];
+  board.mode = canvas && gameGrid.cells.length > CANVAS_CELL_THRESHOLD ? 'canvas' : 'svg';
+  if (board.mode === 'svg'){
+    if (canvas){ canvas.hidden = true; canvas.width = canvas.height = 0; }
+    svg.style.display = '';
+    Object.assign(board, drawBoard(svg, gameGrid, true), { ctx:null, buckets:null });
+    board.overlay = makeSvg('g',{ style:'pointer-events:none' });
+    svg.appendChild(board.overlay);
+    return;
+  }
+  svg.innerHTML = ''; svg.style.display = 'none';
+  const info = boardGeometry(gameGrid);
+  board.info = info; board.polys = board.labels = board.overlay = null;
+  board.k = Math.min(window.devicePixelRatio || 1, Math.sqrt(16e6 / (info.w * info.h)));
+  canvas.hidden = false;
+  canvas.width = Math.round(info.w * board.k); canvas.height = Math.round(info.h * board.k);
+  canvas.style.width = `${info.w}px`; canvas.style.height = `${info.h}px`;
+  board.ctx = canvas.getContext('2d');
+  // Hit-test buckets hold { i, cell }; a ghost's i is the cell it copies, so clicking it plays that cell.
+  const bs = info.centers.find(Boolean).size; board.buckets = { size: bs, map: new Map() };
+  board.ghosts = new Map();
+  const bucket = (i,cell)=>{ const key = `${Math.floor(cell.x/bs)},${Math.floor(cell.y/bs)}`; if (!board.buckets.map.has(key)) board.buckets.map.set(key, []); board.buckets.map.get(key).push({ i, cell }); };
+  info.centers.forEach((cell,i)=>{ if (playable(gameGrid,i)) bucket(i,cell); });
+  for (const { src, cell } of info.ghosts){ bucket(src,cell); if (!board.ghosts.has(src)) board.ghosts.set(src, []); board.ghosts.get(src).push({ cell }); }
+  paintAllCells();
+}
+function paintCanvasCell(i, overlay, cell=board.info.centers[i], ghost=false){
+  const ctx = board.ctx; const cl = board.grid.cells[i];
+  ctx.setTransform(board.k,0,0,board.k,0,0);
+  ctx.globalAlpha = ghost ? 0.4 : 1;
+  ctx.beginPath(); cell.pts.forEach(([x,y],n)=> n ? ctx.lineTo(x,y) : ctx.moveTo(x,y)); ctx.closePath();
+  ctx.fillStyle = board.bg; ctx.fill();
+  ctx.fillStyle = cellFill(cl); ctx.fill();
+  ctx.lineWidth = 1.25; ctx.strokeStyle = board.accent; ctx.stroke();
+  // Overlays stay inside the cell (the stroke doubled, half of it clipped), so clearing one never leaves pixels on a
+  // neighbour or on the ghosts that wrapped edges put beside it.
+  if (overlay){ ctx.save(); ctx.clip(); ctx.fillStyle = overlay.fill; ctx.fill(); if (overlay.stroke !== 'none'){ ctx.setLineDash(overlay.dash || []); ctx.lineWidth = 6; ctx.strokeStyle = overlay.stroke; ctx.stroke(); } ctx.restore(); }
+  const l = cellLabel(cl);
+  if (l.text){ const fs = labelFontSize(cell); ctx.font = `${fs}px system-ui, sans-serif`; ctx.textAlign = 'center'; ctx.fillStyle = l.color; ctx.fillText(l.text, cell.x, cell.y + Math.floor(fs*0.35)); }
+  if (overlay && overlay.text){ const fs = oddsFontSize(cell); ctx.font = `${fs}px system-ui, sans-serif`; ctx.textAlign = 'center'; ctx.fillStyle = '#fff'; ctx.fillText(overlay.text, cell.x, cell.y + cell.size*0.32); }
+  ctx.globalAlpha = 1;
+}
+function paintCell(i){
+  if (!playable(board.grid,i)) return;
+  const ghosts = board.ghosts.get(i) || [];
+  if (board.mode === 'canvas'){ paintCanvasCell(i); for (const g of ghosts) paintCanvasCell(i, null, g.cell, true); }
+  else { paintSvgCell(board.polys[i], board.labels[i], board.grid, i); for (const g of ghosts) paintSvgCell(g.poly, g.label, board.grid, i); }
+}
+function paintAllCells(){
+  if (board.mode === 'canvas'){
+    const css = getComputedStyle(document.body);
+    board.accent = css.getPropertyValue('--accent').trim() || '#0ea5b3';
+    board.bg = css.getPropertyValue('--bg-0').trim() || '#021017';
+    board.ctx.setTransform(1,0,0,1,0,0); board.ctx.clearRect(0,0,board.ctx.canvas.width,board.ctx.canvas.height);
+  }
+  for (let i=0;i<board.grid.cells.length;i++) paintCell(i);
+}
+function paintOverlay(){
+  const marks = [];
+  if (oddsShown && gameGrid.perCell === 1 && !firstClick){
+    const odds = currentOdds();
+    if (odds) odds.p.forEach((p,i)=>{ if (!isNaN(p)) marks.push({ i, fill: oddsFill(p), stroke:'none', text: oddsText(p) }); });
+    if (odds) for (const i of odds.unavailable) marks.push({ i, fill:'rgba(160,160,160,0.3)', stroke:'none', text:'?' });
+  }
+  if (cursor >= 0) marks.push({ i: cursor, fill:'none', stroke:'#ffffff' });
+  if (activeHint){
+    for (const i of activeHint.from) marks.push({ i, fill:'none', stroke:'#ffd27a', dash:[4,3] });
+    for (const i of activeHint.cells) marks.push({ i, fill: activeHint.mine ? 'rgba(255,107,107,0.25)' : 'rgba(124,231,255,0.25)', stroke: activeHint.mine ? '#ff6b6b' : '#7ce7ff' });
+  }
+  if (board.mode === 'canvas'){
+    for (const i of board.painted) paintCell(i);
+    for (const m of marks) paintCanvasCell(m.i, { ...m, fill: m.fill === 'none' ? 'rgba(0,0,0,0)' : m.fill });
+    board.painted = marks.map(m=> m.i);
+    return;
+  }
+  board.overlay.innerHTML = '';
+  for (const m of marks){
+    const cell = board.info.centers[m.i];
+    board.overlay.appendChild(makeSvg('polygon',{ points: polyPoints(cell.pts), fill:m.fill, stroke:m.stroke, 'stroke-width':3, 'stroke-dasharray': m.dash ? m.dash.join(' ') : 'none' }));
+    if (m.text){ const t = makeSvg('text',{ x:cell.x, y:cell.y + cell.size*0.32, 'text-anchor':'middle', 'font-size': oddsFontSize(cell), fill:'#fff' }); t.textContent = m.text; board.overlay.appendChild(t); }
+  }
 }
 
-function computeCounts(grid, adjacency){
-  const { rows, cols, cells } = grid;
-  for (let r=0;r<rows;r++){
-    for (let c=0;c<cols;c++){
-      const i=idx(rows,cols,r,c);
-      if (cells[i].mine){ cells[i].count = -1; continue; }
-      const offsets = squareOffsets(r,c,adjacency);
-      let cnt = 0;
-      for (const [dr,dc] of offsets){ const rr=r+dr, cc=c+dc; if (!inBounds(rows,cols,rr,cc)) continue; if (cells[idx(rows,cols,rr,cc)].mine) cnt++; }
-      cells[i].count = cnt;
-    }
+// The odds overlay reads what the player could see: after a loss, the board as it stood before the losing move.
+// Flags are ignored, revealed mines (lives mode) are known, and the total is the Mines setting.
+// The cache is keyed on the adjacency's offsets too, since switching or editing the pattern renumbers the board.
+const oddsCache = { grid:null, key:'', odds:null };
+function oddsSource(){
+  if (running || !journal.moves.length || modeWon(gameGrid)) return gameGrid;
+  const hits = g=> g.cells.filter(cl=> cl.mine && cl.revealed).length;
+  const before = journalGrid(journal, gameGrid, journal.moves.length - 1).grid, after = journalGrid(journal, gameGrid).grid;
+  return hits(after) > hits(before) ? before : after;
+}
+function currentOdds(){
+  const adj = activeAdj(), key = `${journal.moves.length}:${running}:${mineTarget(gameGrid)}:${JSON.stringify(adj)}`;
+  if (oddsCache.grid !== gameGrid || oddsCache.key !== key){
+    const src = oddsSource();
+    const state = new Int8Array(src.cells.length);
+    src.cells.forEach((cl,i)=>{ if (cl.revealed) state[i] = cl.mine ? 2 : 1; });
+    Object.assign(oddsCache, { grid: gameGrid, key, odds: mineOdds(src, neighborIndexLists(src, adj), state, mineTarget(src), ODDS_BUDGET, ODDS_SWEEPS) });
   }
+  return oddsCache.odds;
+}
+function oddsFill(p){ return p === 0 ? 'rgba(124,231,255,0.35)' : `rgba(255,107,107,${(0.12 + 0.6*p).toFixed(2)})`; }
+function oddsText(p){ return p > 0 && p < 0.01 ? '<1%' : p < 1 && p > 0.99 ? '>99%' : `${Math.round(100*p)}%`; }
+function oddsFontSize(cell){ return Math.max(7, Math.floor(cell.size * 0.26)); }
+function toggleOdds(){
+  if (!oddsShown && gameGrid && gameGrid.perCell > 1){ flashStatus('Odds need one mine per cell'); return; }
+  oddsShown = !oddsShown;
+  const btn = document.getElementById('oddsToggle'); if (btn) btn.setAttribute('aria-pressed', String(oddsShown));
+  renderBoard();
+  if (!oddsShown || !gameGrid) return;
+  const odds = !firstClick && currentOdds();
+  flashStatus(firstClick ? 'Odds show once the board is placed' : !odds ? `${plural(mineTarget(gameGrid),'mine')} (the Mines setting) can't fit these numbers` : odds.unavailable.length ? `Mine odds — estimate unavailable for ${plural(odds.unavailable.length,'cell')} (?)` : odds.estimated ? 'Mine odds — large groups estimated by sampling' : 'Mine odds — exact');
+}
+function applyView(){
+  const container = document.getElementById('minefieldContainer');
+  if (!container) return;
+  container.style.transform = `translate(${view.tx}px, ${view.ty}px) scale(${view.scale})`;
+  container.style.transformOrigin = 'center center';
 }
 
-function placeMines(grid, mineCount, safe){
-  const { rows, cols, cells } = grid;
-  cells.forEach(cell=>{ cell.mine=false; cell.revealed=false; cell.flagged=false; cell.count=0; });
-  const total = rows*cols;
-  const perm = Array.from({length:total}, (_,i) => i);
-  for (let i=total-1;i>0;i--){ const j=Math.floor(Math.random()*(i+1)); [perm[i],perm[j]]=[perm[j],perm[i]]; }
+// changed: the [r,c] list a move returned. Without it every cell is repainted; a new grid object rebuilds the board.
+function renderBoard(changed){
+  if (!gameGrid || !document.getElementById('minefieldSvg')) return;
+  if (board.grid !== gameGrid || !board.info){ buildBoard(); if (cursor >= gameGrid.cells.length || (cursor >= 0 && !playable(gameGrid,cursor))) cursor = -1; }
+  else if (changed) for (const [r,c] of changed) paintCell(idx(gameGrid.rows,gameGrid.cols,r,c));
+  else paintAllCells();
+  paintOverlay();
+  updateCursorAria();
+  applyView();
+  updateUndoButtons();
+  updateLives();
+}
 
-  const forbidden = new Set();
-  if (safe){
-    const [sr,sc] = safe;
-    forbidden.add(idx(rows,cols,sr,sc));
-    for (const [dr,dc] of squareOffsets(sr,sc,currentAdjacency)){ const rr=sr+dr, cc=sc+dc; if (inBounds(rows,cols,rr,cc)) forbidden.add(idx(rows,cols,rr,cc)); }
+function cellAtPoint(e){
+  if (board.mode === 'svg'){ const i = e.target && e.target.getAttribute && e.target.getAttribute('data-i'); return i == null ? -1 : Number(i); }
+  const rect = e.currentTarget.querySelector('#minefieldCanvas').getBoundingClientRect();
+  const x = (e.clientX - rect.left) * board.info.w / rect.width, y = (e.clientY - rect.top) * board.info.h / rect.height;
+  const bs = board.buckets.size, bx = Math.floor(x/bs), by = Math.floor(y/bs);
+  for (let dy=-2;dy<=2;dy++) for (let dx=-2;dx<=2;dx++){
+    for (const { i, cell } of board.buckets.map.get(`${bx+dx},${by+dy}`) || []) if (pointInPolygon(x,y,cell.pts)) return i;
   }
-
-  let placed=0,k=0,maxPlace=Math.min(mineCount,total-1);
-  while (placed<maxPlace && k<total){
-    const pos = perm[k++];
-    if (forbidden.has(pos)) continue;
-    cells[pos].mine = true; placed++;
+  return -1;
+}
+function pointInPolygon(x,y,pts){
+  let inside = false;
+  for (let a=0,b=pts.length-1;a<pts.length;b=a++){
+    const [xa,ya] = pts[a], [xb,yb] = pts[b];
+    if ((ya > y) !== (yb > y) && x < (xb - xa) * (y - ya) / (yb - ya) + xa) inside = !inside;
   }
-  computeCounts(grid,currentAdjacency);
+  return inside;
 }
 
-function revealCell(grid,r,c){
-  const { rows, cols, cells } = grid;
-  if (!inBounds(rows,cols,r,c)) return { changed:[], exploded:false };
-  const i=idx(rows,cols,r,c); const cell = cells[i];
-  if (!cell || cell.revealed || cell.flagged) return { changed:[], exploded:false };
-  if (cell.mine){ cell.revealed = true; return { changed:[[r,c]], exploded:true }; }
+function cellName(grid,i){ return `(row ${Math.floor(i/grid.cols)+1}, col ${i%grid.cols+1})`; }
+function plural(n,word){ return `${n} ${word}${n===1?'':'s'}`; }
+function explainDeduction(grid,links,state,d,totalMines){
+  if (d.kind === 'global'){
+    const known = state.reduce((n,v)=> n + (v === 2 ? 1 : 0), 0);
+    return d.mine ? `${plural(totalMines - known,'mine')} left and exactly that many hidden cells remain, so they are all mines.`
+                  : `All ${plural(totalMines,'mine')} are accounted for, so every other hidden cell is safe.`;
+  }
+  const a = constraintAt(grid,links,state,d.from); const n = grid.cells[d.from].count;
+  if (d.kind === 'single' && !a.unit){
+    const these = d.cells.length === 1 ? `the cell at ${cellName(grid,d.cells[0])} is` : `these ${d.cells.length} cells are`;
+    return `The weighted ${n} at ${cellName(grid,d.from)} still needs ${a.rem} from its hidden neighbors, which is only reachable if ${these} ${d.mine ? (d.cells.length === 1 ? 'a mine' : 'mines') : 'safe'}.`;
+  }
+  if (d.kind === 'single'){
+    const all = a.hidden.length === 1 ? 'it is a mine' : 'they are all mines';
+    if (d.mine && a.rem === n) return `This ${n} at ${cellName(grid,d.from)} touches exactly ${plural(a.hidden.length,'hidden cell')}, so ${all}.`;
+    if (d.mine) return `This ${n} at ${cellName(grid,d.from)} has ${plural(n - a.rem,'proven mine')} and exactly ${plural(a.hidden.length,'hidden cell')} left, so ${all}.`;
+    return `This ${n} at ${cellName(grid,d.from)} already touches ${plural(n,'proven mine')}, so its other hidden ${a.hidden.length === 1 ? 'neighbor is' : 'neighbors are'} safe.`;
+  }
+  const b = constraintAt(grid,links,state,d.via); const m = grid.cells[d.via].count;
+  const extra = a.hidden.filter(x=> !b.hidden.includes(x)).length;
+  if (d.mine) return `This ${n} at ${cellName(grid,d.from)} needs ${a.rem} more; the ${m} at ${cellName(grid,d.via)} allows at most ${b.rem} in the cells they share, so its ${plural(extra,'other hidden cell')} ${extra === 1 ? 'is a mine' : 'are all mines'}.`;
+  return `This ${n} at ${cellName(grid,d.from)} needs ${a.rem} more but has only ${plural(extra,'hidden cell')} outside the ones it shares with the ${m} at ${cellName(grid,d.via)}, so the shared cells hold the ${b.rem} that ${m} needs and its other hidden ${d.cells.length === 1 ? 'cell is' : 'cells are'} safe.`;
+}
 
-  const changed=[]; const stack=[[r,c]];
-  while (stack.length){
-    const [rr,cc] = stack.pop(); const ii = idx(rows,cols,rr,cc); const cl = cells[ii];
-    if (!cl || cl.revealed || cl.flagged) continue;
-    cl.revealed = true; changed.push([rr,cc]);
-    if (cl.count === 0){
-      for (const [dr,dc] of squareOffsets(rr,cc,currentAdjacency)){
-        const nr = rr+dr, nc = cc+dc; if (!inBounds(rows,cols,nr,nc)) continue; const ni = idx(rows,cols,nr,nc); if (!cells[ni].revealed && !cells[ni].flagged) stack.push([nr,nc]);
-      }
+// Only revealed numbers are trusted; flags are never taken as proof of a mine.
+function findHint(grid,adj){
+  if (firstClick) return { kind:'start', cells:[], from:[], mine:false, text:'The first click is always safe — pick any cell.' };
+  const links = neighborIndexLists(grid,adj); const cells = grid.cells;
+  const state = new Int8Array(cells.length);
+  cells.forEach((cl,i)=>{ if (cl.revealed) state[i] = cl.mine ? 2 : 1; });
+  const totalMines = cells.reduce((n,cl)=> n + (cl.mine ? 1 : 0), 0);
+  for (let pass=0; pass<cells.length; pass++){
+    const found = findDeductions(grid,links,state,totalMines,false);
+    if (!found.length) break;
+    for (const d of found){
+      const targets = d.cells.filter(i=> d.mine ? !cells[i].flagged : !cells[i].revealed);
+      if (!targets.length) continue;
+      const text = explainDeduction(grid,links,state,d,totalMines);
+      return { kind:d.kind, cells:targets, from:[d.from,d.via].filter(i=> i != null), mine:d.mine, text };
     }
+    for (const d of found) if (d.mine) for (const i of d.cells) state[i] = 2;
   }
-  return { changed, exploded:false };
+  return null;
+}
+
+function showHint(){
+  if (!gameGrid || !running){ flashStatus('No game in progress'); return; }
+  if (gameGrid.perCell > 1){ flashStatus('Hints need one mine per cell'); return; }
+  const hint = findHint(gameGrid,activeAdj());
+  if (hint && hint.kind !== 'start') hintsUsed++;
+  activeHint = hint || { kind:'none', cells:[], from:[], mine:false, text:'No certain move from the revealed numbers — this one is a guess.' };
+  const box = document.getElementById('hintBox');
+  if (box){ box.textContent = (hint && hint.kind !== 'start' ? `Hint ${hintsUsed}: ` : '') + activeHint.text; box.hidden = false; }
+  saveAll(); renderBoard();
+}
+function clearHint(){
+  activeHint = null;
+  const box = document.getElementById('hintBox'); if (box){ box.hidden = true; box.textContent = ''; }
 }
-function toggleFlag(grid,r,c){ const {rows,cols,cells}=grid; if (!inBounds(rows,cols,r,c)) return null; const i=idx(rows,cols,r,c); const cell=cells[i]; if (!cell || cell.revealed) return null; cell.flagged = !cell.flagged; return cell.flagged; }
-function checkWin(grid){ return grid.cells.every(cell => (cell.mine && cell.flagged) || (!cell.mine && cell.revealed)); }
-function countFlaggedNeighbors(grid,r,c){ let count=0; for (const [dr,dc] of squareOffsets(r,c,currentAdjacency)){ const rr=r+dr, cc=c+dc; if (!inBounds(grid.rows,grid.cols,rr,cc)) continue; if (grid.cells[idx(grid.rows,grid.cols,rr,cc)].flagged) count++; } return count; }
 
 function startTimer(){
   if (timerInterval) return;
@@ -142,62 +442,230 @@ function stopTimer(){
 function resetTimer(){
   stopTimer();
   elapsedSeconds = 0;
-  const el = document.getElementById('msTimer');
-  if (el) el.textContent = '0:00';
+  showClock();
 }
 function updateTimer(){
   if (!startTime) return;
   const elapsed = Math.floor((Date.now() - startTime) / 1000);
   elapsedSeconds = elapsed;
-  const mins = Math.floor(elapsed / 60);
-  const secs = elapsed % 60;
+  showClock();
+  if (gameMode.kind === 'countdown' && running && timerInterval && elapsed >= gameMode.n) timeUp();
+}
+function formatClock(s){ return `${Math.floor(s/60)}:${(s%60).toString().padStart(2,'0')}`; }
+// Countdown games show the time left on the same clock.
+function showClock(){
   const el = document.getElementById('msTimer');
-  if (el) el.textContent = `${mins}:${secs.toString().padStart(2,'0')}`;
+  if (el) el.textContent = formatClock(gameMode.kind === 'countdown' ? Math.max(0, gameMode.n - elapsedSeconds) : elapsedSeconds);
+}
+function timeUp(){
+  onLose("Time's up");
+  saveAll(); renderBoard();
+  announce("Time's up!");
 }
 
-function attachHandlers(el,r,c){
-  el.addEventListener('click', (e)=>{
-    e.stopPropagation();
-    if (!running) return;
+// Click and Enter/Space share this: flag in flag mode, chord a satisfied number, otherwise reveal.
+function activateCell(i){
+  if (!running || !gameGrid) return;
+  const r = Math.floor(i/gameGrid.cols), c = i%gameGrid.cols;
+  if (document.body.classList.contains('flag-mode')){ performMove({ a:'flag', r, c }); return; }
 
-    const flagModeActive = document.body.classList.contains('flag-mode');
-    if (flagModeActive){
-      toggleFlag(gameGrid,r,c);
-      if (checkWin(gameGrid)){ onWin(); }
-      saveAll(); renderBoard(); return;
-    }
+  if (gameGrid.cells[i].revealed){
+    if (canChord(gameGrid,r,c,activeAdj())) performMove({ a:'chord', r, c });
+    return;
+  }
+  performMove({ a:'reveal', r, c });
+}
 
-    const cellObjNow = gameGrid.cells[idx(gameGrid.rows,gameGrid.cols,r,c)];
-    if (cellObjNow.revealed && cellObjNow.count > 0){
-      const flagged = countFlaggedNeighbors(gameGrid,r,c);
-      if (flagged === cellObjNow.count){
-        let exploded=false;
-        for (const [dr,dc] of squareOffsets(r,c,currentAdjacency)){
-          const rr=r+dr, cc=c+dc; if (!inBounds(gameGrid.rows,gameGrid.cols,rr,cc)) continue;
-          const neigh = gameGrid.cells[idx(gameGrid.rows,gameGrid.cols,rr,cc)];
-          if (!neigh.flagged && !neigh.revealed){ const res = revealCell(gameGrid,rr,cc); if (res.exploded) exploded=true; }
-        }
-        if (exploded){ onLose(); }
-        else { if (checkWin(gameGrid)){ onWin(); } }
-        saveAll(); renderBoard(); return;
-      }
-      return;
-    }
+// Arrow moves go to the nearest cell whose center lies within 60° of the key's direction, so they follow any tiling.
+const CURSOR_KEYS = { ArrowUp:[0,-1], w:[0,-1], ArrowDown:[0,1], s:[0,1], ArrowLeft:[-1,0], a:[-1,0], ArrowRight:[1,0], d:[1,0] };
+function cursorStep(i,[ux,uy]){
+  const { rows, cols } = gameGrid, centers = board.info.centers;
+  const r0 = Math.floor(i/cols), c0 = i%cols, from = centers[i];
+  let best = i, bestScore = Infinity;
+  for (let r=Math.max(0,r0-2);r<=Math.min(rows-1,r0+2);r++) for (let c=Math.max(0,c0-2);c<=Math.min(cols-1,c0+2);c++){
+    const j = idx(rows,cols,r,c); if (j === i || !playable(gameGrid,j)) continue;
+    const dx = centers[j].x - from.x, dy = centers[j].y - from.y, d = Math.hypot(dx,dy);
+    const cos = (dx*ux + dy*uy) / d;
+    if (cos < 0.5) continue;
+    const score = d * (1 + 2*(1 - cos));
+    if (score < bestScore){ bestScore = score; best = j; }
+  }
+  return best;
+}
+function centerCell(grid){
+  const mid = idx(grid.rows,grid.cols,Math.floor(grid.rows/2),Math.floor(grid.cols/2));
+  if (playable(grid,mid)) return mid;
+  const cs = board.info.centers;
+  let best = -1;
+  grid.cells.forEach((_,i)=>{ if (playable(grid,i) && (best < 0 || Math.hypot(cs[i].x-cs[mid].x, cs[i].y-cs[mid].y) < Math.hypot(cs[best].x-cs[mid].x, cs[best].y-cs[mid].y))) best = i; });
+  return best;
+}
+function moveCursor(i){
+  cursor = i;
+  paintOverlay();
+  updateCursorAria();
+  scrollCursorIntoView();
+}
+function updateCursorAria(){
+  const container = document.getElementById('minefieldContainer');
+  const proxy = document.getElementById('boardCursorCell');
+  if (!container || !gameGrid || cursor < 0){ if (container) container.removeAttribute('aria-activedescendant'); return; }
+  if (board.mode === 'svg'){ container.setAttribute('aria-activedescendant', `cell-${cursor}`); return; }
+  if (proxy) proxy.setAttribute('aria-label', cellAriaLabel(gameGrid, cursor));
+  container.setAttribute('aria-activedescendant', 'boardCursorCell');
+}
+function scrollCursorIntoView(){
+  const frame = document.getElementById('minefieldFrame');
+  if (!frame || cursor < 0) return;
+  let rect;
+  if (board.mode === 'svg') rect = board.polys[cursor].getBoundingClientRect();
+  else {
+    const cr = document.getElementById('minefieldCanvas').getBoundingClientRect(), cell = board.info.centers[cursor];
+    const x = cr.left + cell.x * cr.width / board.info.w, y = cr.top + cell.y * cr.height / board.info.h, h = cell.size * cr.width / board.info.w / 2;
+    rect = { left:x-h, right:x+h, top:y-h, bottom:y+h };
+  }
+  const fr = frame.getBoundingClientRect(), m = 40;
+  let dx = 0, dy = 0;
+  if (rect.left < fr.left + m) dx = fr.left + m - rect.left; else if (rect.right > fr.right - m) dx = fr.right - m - rect.right;
+  if (rect.top < fr.top + m) dy = fr.top + m - rect.top; else if (rect.bottom > fr.bottom - m) dy = fr.bottom - m - rect.bottom;
+  if (dx || dy){ view.tx += dx; view.ty += dy; applyView(); }
+}
+function announce(text){
+  const live = document.getElementById('msAnnounce');
+  if (!live) return;
+  live.textContent = '';
+  setTimeout(()=>{ live.textContent = text; }, 30);
+}
 
-    if (firstClick){
-      const mines = Math.max(1, Number((document.getElementById('msMines')||{value:40}).value || 40));
-      placeMines(gameGrid, mines, [r,c]);
-      firstClick = false;
-      startTimer();
+function setupBoardEvents(){
+  const container = document.getElementById('minefieldContainer');
+  if (!container) return;
+  container.addEventListener('click', (e)=>{
+    const i = cellAtPoint(e); if (i < 0 || !gameGrid) return;
+    e.stopPropagation();
+    cursor = i;
+    activateCell(i);
+    paintOverlay(); updateCursorAria();
+  });
+  container.addEventListener('contextmenu', (e)=>{
+    const i = cellAtPoint(e); if (i < 0 || !gameGrid) return;
+    e.preventDefault(); e.stopPropagation();
+    cursor = i;
+    performMove({ a:'flag', r: Math.floor(i/gameGrid.cols), c: i%gameGrid.cols });
+    paintOverlay(); updateCursorAria();
+  });
+  container.addEventListener('keydown', (e)=>{
+    if (e.ctrlKey || e.metaKey || e.altKey || !gameGrid || !board.info) return;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (key === 'n'){ e.preventDefault(); startNewGame(); announce('New game'); return; }
+    if (cursor < 0 && (CURSOR_KEYS[key] || key === 'Enter' || key === ' ' || key === 'f' || key === 'c')){ e.preventDefault(); moveCursor(centerCell(gameGrid)); return; }
+    if (CURSOR_KEYS[key]){ e.preventDefault(); moveCursor(cursorStep(cursor, CURSOR_KEYS[key])); return; }
+    const r = Math.floor(cursor/gameGrid.cols), c = cursor%gameGrid.cols;
+    if (key === 'Enter' || key === ' '){ e.preventDefault(); activateCell(cursor); }
+    else if (key === 'f'){ e.preventDefault(); performMove({ a:'flag', r, c }); }
+    else if (key === 'c'){
+      e.preventDefault();
+      const cl = gameGrid.cells[cursor];
+      if (canChord(gameGrid,r,c,activeAdj())) performMove({ a:'chord', r, c });
+      else if (cl.revealed && !cl.mine) announce(`Flags around it add up to ${countFlaggedNeighbors(gameGrid,r,c,activeAdj())}, not ${cl.count}`);
+      else announce('Nothing to chord here');
     }
-
-    const res = revealCell(gameGrid,r,c);
-    if (res.exploded){ onLose(); }
-    else { if (checkWin(gameGrid)){ onWin(); } else document.getElementById('msStatus').textContent='Playing...'; }
-    saveAll(); renderBoard();
   });
+}
 
-  el.addEventListener('contextmenu', (e)=>{ e.preventDefault(); e.stopPropagation(); if (!running) return; toggleFlag(gameGrid,r,c); if (checkWin(gameGrid)){ onWin(); } saveAll(); renderBoard(); });
+function performMove(move){
+  if (!running) return null;
+  if (move.a === 'flag' && gameMode.kind === 'flagless'){ announce('Flags are off in flagless mode'); return null; }
+  let generation = null;
+  if (firstClick){
+    if (move.a !== 'reveal') return null;
+    generation = generateBoard(gameGrid, [move.r,move.c], Math.random);
+    firstClick = false;
+    journal.mines = mineIndices(gameGrid);
+    journal.metrics = placementMetrics(gameGrid);
+  }
+  journal.clicks[CLICK_KINDS[move.a]]++;
+  clearHint();
+  const res = applyMove(gameGrid, move, activeAdj());
+  if (!res.changed.length) return res;
+  journal.moves.push({ ...move, t: Date.now() });
+  journal.redo = [];
+  startTimer();
+  if (move.a === 'flag') emitGameEvent('flag', { r: move.r, c: move.c, flags: flagsOn(gameGrid.cells[idx(gameGrid.rows,gameGrid.cols,move.r,move.c)]) });
+  else emitGameEvent('reveal', { a: move.a, r: move.r, c: move.c, cells: res.changed, exploded: res.exploded });
+
+  if (res.exploded && outOfLives(gameGrid)){ onLose(); }
+  else if (modeWon(gameGrid)){ onWin(); }
+  else if (res.exploded) document.getElementById('msStatus').textContent = `Hit a mine — ${livesText(livesLeft(gameGrid))}`;
+  else if (move.a !== 'flag') document.getElementById('msStatus').textContent='Playing...';
+  if (generation && !generation.solved && running) document.getElementById('msStatus').textContent = `No-guess board not found (${generation.attempts} tries, ${(generation.ms/1000).toFixed(1)}s) — normal board`;
+  saveAll(); renderBoard(res.exploded || generation ? undefined : res.changed);
+  announceMove(move, res);
+  return res;
+}
+
+function announceMove(move, res){
+  if (res.exploded && running) announce(`Hit a mine! ${livesText(livesLeft(gameGrid))}`);
+  else if (res.exploded) announce('Boom! You hit a mine.');
+  else if (!running) announce('Board cleared. You win!');
+  else if (move.a === 'flag'){ const cl = gameGrid.cells[idx(gameGrid.rows,gameGrid.cols,move.r,move.c)]; announce(`${cl.flags > 1 ? `Flagged ×${cl.flags}` : cl.flagged ? 'Flagged' : 'Unflagged'} ${cellName(gameGrid, idx(gameGrid.rows,gameGrid.cols,move.r,move.c))}`); }
+  else announce(`Revealed ${plural(res.changed.length,'cell')}`);
+}
+
+function undoEnabled(){ return !!(document.getElementById('undoToggle')||{}).checked; }
+function newJournal(){ return { mines:null, base:null, moves:[], redo:[], assisted: undoEnabled(), clicks:{ left:0, right:0, chord:0 }, metrics:null, result:null }; }
+// Every attempted move counts as a click, including ones that change nothing.
+const CLICK_KINDS = { reveal:'left', flag:'right', chord:'chord' };
+// The base is whatever was on the board before the first journaled move (a seeded opening, an imported game).
+function journalFromGrid(grid){
+  const j = newJournal();
+  const { mines, revealed, flagged } = cellLists(grid);
+  j.mines = mines;
+  j.base = { revealed, flagged };
+  j.metrics = placementMetrics(grid);
+  return j;
+}
+// like: any grid-shaped { rows, cols, tiling, mask, topology, perCell } the journal was recorded on.
+function journalGrid(j, like, upto=j.moves.length){
+  const grid = createGrid(like.rows,like.cols,like.tiling,like.mask,like.topology); const adj = resolveAdjacency(currentAdjacency, like.tiling);
+  grid.perCell = like.perCell || 1;
+  const placed = !!j.mines && (!!j.base || upto > 0);
+  let exploded = false;
+  if (placed){
+    fillCells(grid, { mines: j.mines });
+    computeCounts(grid,adj);
+    if (j.base) fillCells(grid, j.base);
+    for (let k=0;k<upto;k++) if (applyMove(grid,j.moves[k],adj).exploded) exploded = true;
+  }
+  return { grid, placed, exploded };
+}
+
+function rebuildFromJournal(){
+  const { grid, placed, exploded } = journalGrid(journal, gameGrid);
+  gameGrid = grid; firstClick = !placed; running = true;
+  clearHint();
+  const overlay = document.getElementById('winOverlay'); if (overlay) overlay.style.display = 'none';
+  if (exploded && outOfLives(grid)) onLose();
+  else if (placed && modeWon(grid)) onWin();
+  else if (placed){ startTimer(); document.getElementById('msStatus').textContent = exploded ? `Hit a mine — ${livesText(livesLeft(grid))}` : 'Playing...'; }
+  else { stopTimer(); document.getElementById('msStatus').textContent = 'Ready — first click is safe'; }
+  saveAll(); renderBoard();
+}
+function undoMove(){
+  if (!undoEnabled() || !gameGrid || !journal.moves.length) return;
+  journal.redo.push(journal.moves.pop()); journal.assisted = true;
+  rebuildFromJournal();
+}
+function redoMove(){
+  if (!undoEnabled() || !gameGrid || !journal.redo.length) return;
+  journal.moves.push(journal.redo.pop());
+  rebuildFromJournal();
+}
+function updateUndoButtons(){
+  const on = undoEnabled();
+  const u = document.getElementById('undoMove'); if (u) u.disabled = !on || !journal.moves.length;
+  const r = document.getElementById('redoMove'); if (r) r.disabled = !on || !journal.redo.length;
+  const p = document.getElementById('openReplay'); if (p) p.disabled = !journal.moves.length;
 }
 
 function onWin(){
@@ -205,31 +673,280 @@ function onWin(){
   stopTimer();
   document.getElementById('msStatus').textContent = 'You win!';
   if (!isLoading){
+    journal.result = gameSummary(true);
+    const rank = recordGameResult(true);
+    if (currentPuzzle) markPuzzleSolved(currentPuzzle, journal.result.ms);
+    emitGameEvent('win', { summary: journal.result });
     const winTime = document.getElementById('msTimer') ? document.getElementById('msTimer').textContent : '';
-    const wt = document.getElementById('winTime'); if (wt) wt.textContent = `Time: ${winTime}`;
-    const overlay = document.getElementById('winOverlay'); if (overlay) overlay.style.display = 'flex';
+    showResult('🎉 You Win! 🎉', `Time: ${winTime}` + (hintsUsed ? ` · Hints: ${hintsUsed}` : '') + (journal.assisted ? ' · Undo on' : '') + (gameMode.kind === 'lives' ? ` · ${livesText(livesLeft(gameGrid))}` : '') + (rank === 1 ? ' · New best!' : rank ? ` · #${rank} for this board` : '') + (currentPuzzle ? ' · Puzzle solved' : ''));
   }
 }
-function onLose(){
+function onLose(reason='BOOM'){
   running = false;
   stopTimer();
   gameGrid.cells.forEach(cl=>{ if (cl.mine) cl.revealed=true; });
-  document.getElementById('msStatus').textContent = 'BOOM';
+  document.getElementById('msStatus').textContent = reason;
+  if (!isLoading){
+    journal.result = gameSummary(false);
+    recordGameResult(false);
+    emitGameEvent('lose', { reason, summary: journal.result });
+    showResult(`💥 ${reason}`, `Time: ${formatClock(Math.round(journal.result.ms / 1000))}`);
+  }
+}
+function showResult(title, line){
+  const head = document.getElementById('winTitle'); if (head) head.textContent = title;
+  const wt = document.getElementById('winTime'); if (wt) wt.textContent = line;
+  const wm = document.getElementById('winMetrics'); if (wm) wm.textContent = summaryText(journal.result);
+  const overlay = document.getElementById('winOverlay'); if (overlay) overlay.style.display = 'flex';
+}
+
+function gameMs(){ return startTime ? Date.now() - startTime : elapsedSeconds * 1000; }
+function placementMetrics(grid){ const { bbbv, openings, isolated, difficulty } = boardMetrics(grid, activeAdj()); return { bbbv, openings, isolated, difficulty }; }
+// A finished game's numbers, kept in its journal so saved games carry them. A loss only credits the 3BV it uncovered.
+function gameSummary(won){
+  const m = boardMetrics(gameGrid, activeAdj()); const ms = gameMs();
+  const clicks = { ...journal.clicks }; const total = clicks.left + clicks.right + clicks.chord;
+  const solved = won ? m.bbbv : m.solved;
+  return { won, ms, bbbv: m.bbbv, solved, openings: m.openings, isolated: m.isolated, difficulty: m.difficulty, clicks, perSec: ms ? solved / (ms / 1000) : 0, efficiency: total ? solved / total : 0 };
+}
+function summaryText(r){
+  const c = r.clicks;
+  return `3BV ${r.won ? r.bbbv : `${r.solved} of ${r.bbbv}`} · ${r.perSec.toFixed(2)} 3BV/s · Efficiency ${Math.round(100 * r.efficiency)}% (${plural(c.left + c.right + c.chord,'click')}: ${c.left} left, ${c.right} right, ${c.chord} chord) · Difficulty ${r.difficulty} (${plural(r.openings,'opening')}, ${r.isolated} isolated)`;
+}
+
+// Custom patterns are keyed by their sorted offsets, so renaming one keeps its records and two different "foo"s never share them.
+function adjacencySignature(adj,tiling){
+  if (tilingOf(tiling).adj.includes(adj) || !customAdj || !customAdj[adj]) return adj;
+  return 'custom:' + customAdj[adj].map(o=> o.join(',')).sort().join(';');
+}
+function statsConfig(grid){
+  const mines = mineIndices(grid).length;
+  return {
+    key: [grid.tiling, `${grid.rows}x${grid.cols}`, mines, adjacencySignature(currentAdjacency,grid.tiling)].concat(grid.mask ? [`mask:${hashSeed(holesOf(grid).join(','))}`] : [], grid.topology !== 'plain' ? [`topo:${grid.topology}`] : [], gameMode.kind !== 'classic' ? [`mode:${gameMode.kind}${gameMode.n || ''}`] : []).join('|'),
+    label: `${tilingOf(grid.tiling).label} ${grid.rows}×${grid.cols}${grid.mask ? ` ${shapeName()}` : ''}${grid.topology !== 'plain' ? ` ${TOPOLOGIES[grid.topology].toLowerCase()}` : ''} · ${mines} mines · ${ADJ_LABELS[currentAdjacency] || currentAdjacency}${gameMode.kind !== 'classic' ? ` · ${modeLabel(gameMode)}` : ''}`
+  };
+}
+function loadStats(){
+  try{
+    const raw = JSON.parse(localStorage.getItem(STATS_KEY) || 'null');
+    if (raw && raw.configs && typeof raw.configs === 'object') stats = raw;
+  }catch(e){ console.warn('stats load failed', e); }
+}
+function saveStats(){
+  writeStore(STATS_KEY, stats);
+}
+function emptyStatsEntry(label){ return { label, played:0, won:0, lost:0, streak:0, bestStreak:0, timedWins:0, totalMs:0, top:[] }; }
+
+// Returns the win's place in the top-10 (1-based), or 0. Hinted or undo games count as played but set no times.
+function recordGameResult(won){
+  if (!gameGrid || journal.recorded) return 0;
+  journal.recorded = true;
+  const { key, label } = statsConfig(gameGrid);
+  const entry = stats.configs[key] || (stats.configs[key] = emptyStatsEntry(label));
+  entry.label = label; entry.played++;
+  let rank = 0;
+  if (won){
+    entry.won++; entry.streak++; entry.bestStreak = Math.max(entry.bestStreak, entry.streak);
+    if (!journal.assisted && !hintsUsed){
+      const ms = journal.result ? journal.result.ms : gameMs();
+      const record = { ms, date: new Date().toISOString(), seed: gameSeed || undefined, bbbv: journal.result && journal.result.bbbv, perSec: journal.result && +journal.result.perSec.toFixed(2) };
+      entry.timedWins++; entry.totalMs += ms;
+      entry.top.push(record); entry.top.sort((a,b)=> a.ms - b.ms); entry.top = entry.top.slice(0,10);
+      rank = entry.top.indexOf(record) + 1;
+    }
+  } else { entry.lost++; entry.streak = 0; }
+  saveStats();
+  return rank;
+}
+
+function formatMs(ms){ const s = ms/1000; return s >= 60 ? `${Math.floor(s/60)}:${(s%60).toFixed(1).padStart(4,'0')}` : `${s.toFixed(1)}s`; }
+function openStatsModal(){ document.getElementById('statsModal').setAttribute('aria-hidden','false'); renderStatsPanel(); }
+function closeStatsModal(){ document.getElementById('statsModal').setAttribute('aria-hidden','true'); }
+function renderStatsPanel(){
+  const body = document.getElementById('statsBody'); const top = document.getElementById('statsTop');
+  if (!body || !top) return;
+  body.innerHTML = ''; top.innerHTML = '';
+  const keys = Object.keys(stats.configs).sort((a,b)=> stats.configs[b].played - stats.configs[a].played);
+  if (gameGrid && !firstClick && !statsSelected) statsSelected = statsConfig(gameGrid).key;
+  if (!keys.length){ const tr = document.createElement('tr'); const td = document.createElement('td'); td.colSpan = 8; td.textContent = 'No finished games yet.'; tr.appendChild(td); body.appendChild(tr); }
+  for (const key of keys){
+    const e = stats.configs[key];
+    const tr = document.createElement('tr');
+    if (key === statsSelected) tr.classList.add('selected');
+    const cols = [e.label, e.played, e.won, e.lost, e.played ? `${Math.round(100*e.won/e.played)}%` : '—', `${e.streak} / ${e.bestStreak}`, e.top.length ? formatMs(e.top[0].ms) : '—', e.timedWins ? formatMs(e.totalMs / e.timedWins) : '—'];
+    for (const v of cols){ const td = document.createElement('td'); td.textContent = String(v); tr.appendChild(td); }
+    tr.addEventListener('click', ()=>{ statsSelected = key; renderStatsPanel(); });
+    body.appendChild(tr);
+  }
+  const sel = stats.configs[statsSelected];
+  const head = document.createElement('h4'); head.textContent = sel ? `Top 10 — ${sel.label}` : 'Top 10 — pick a board above'; top.appendChild(head);
+  if (sel){
+    const ol = document.createElement('ol');
+    sel.top.forEach(t=>{ const li = document.createElement('li'); li.textContent = `${formatMs(t.ms)} · ${t.date.slice(0,10)}` + (t.bbbv ? ` · 3BV ${t.bbbv} · ${t.perSec} 3BV/s` : '') + (t.seed ? ` · seed ${t.seed}` : ''); ol.appendChild(li); });
+    if (!sel.top.length){ const li = document.createElement('li'); li.textContent = 'No unassisted wins yet.'; ol.appendChild(li); }
+    top.appendChild(ol);
+  }
+}
+function resetStats(){
+  if (!confirm('Reset all statistics and best times? This cannot be undone.')) return;
+  stats = { v:1, configs:{} }; statsSelected = null;
+  saveStats(); renderStatsPanel();
+}
+function exportStats(){
+  const blob = new Blob([JSON.stringify(stats, null, 2)], { type:'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob); a.download = 'polyweave-stats.json';
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+}
+// Imported records are merged in: counts add up, top-10 lists are combined, the local streak is kept.
+function importStats(text){
+  const incoming = JSON.parse(text);
+  if (!incoming || typeof incoming.configs !== 'object') throw new Error('not a stats file');
+  for (const key of Object.keys(incoming.configs)){
+    const src = incoming.configs[key]; const dst = stats.configs[key] || (stats.configs[key] = emptyStatsEntry(src.label || key));
+    for (const f of ['played','won','lost','timedWins','totalMs']) dst[f] += Number(src[f]) || 0;
+    dst.bestStreak = Math.max(dst.bestStreak, Number(src.bestStreak) || 0);
+    dst.top = dst.top.concat((src.top || []).filter(t=> t && typeof t.ms === 'number')).sort((a,b)=> a.ms - b.ms).slice(0,10);
+  }
+  saveStats(); renderStatsPanel();
+}
+
+// A seeded board must come out the same on every machine, so its search is cut short by attempts alone, never by the
+// clock. Attempts cost more as boards grow, so big boards get fewer: about SEEDED_NO_GUESS_CELLS cells' worth in all.
+const SEEDED_NO_GUESS_CELLS = 250000;
+function seededNoGuessBudget(grid){ return { attempts: Math.max(1, Math.min(NO_GUESS_BUDGET.attempts, Math.floor(SEEDED_NO_GUESS_CELLS / playableCount(grid)))), ms: Infinity }; }
+// The Mines setting, capped so the first click always has a safe cell.
+function mineTarget(grid){ return Math.min((playableCount(grid) - 1) * (grid.perCell || 1), Math.max(1, Number((document.getElementById('msMines')||{value:40}).value || 40))); }
+function generateBoard(grid, safe, rng){
+  const mines = mineTarget(grid);
+  // The solver reasons about one mine per cell, so multi-mine boards skip the no-guess search.
+  if (!(document.getElementById('noGuess')||{}).checked || grid.perCell > 1){ placeMines(grid, mines, safe, activeAdj(), rng); return null; }
+  return placeMinesNoGuess(grid, mines, safe, activeAdj(), gameSeed ? seededNoGuessBudget(grid) : NO_GUESS_BUDGET, rng);
 }
 
 function startNewGame(){
+  stashUnfinished();
+  currentSlot = null; currentPuzzle = null;
+  gameMode = currentMode();
   resetTimer();
   const rows = Math.max(3, Number((document.getElementById('msRows')||{value:12}).value || 12));
   const cols = Math.max(3, Number((document.getElementById('msCols')||{value:16}).value || 16));
-  let mines = Math.max(1, Number((document.getElementById('msMines')||{value:40}).value || 40));
-  mines = Math.min(mines, rows*cols - 1);
-
-  gameGrid = createGrid(rows,cols);
-  running = true; firstClick = true;
+  currentTiling = (document.getElementById('tilingSelect')||{}).value || 'square';
+  let mask = boardMask(rows,cols);
+  if (mask && mask.filter(Boolean).length < 2) mask = null;
+  gameGrid = applyModeToGrid(createGrid(rows,cols,currentTiling,mask,currentTopology()));
+  running = true; firstClick = true; hintsUsed = 0;
+  clearHint();
   document.getElementById('msStatus').textContent = 'Ready — first click is safe';
-  currentAdjacency = (document.getElementById('adjacencySelect')||{}).value || 'all8';
+  currentAdjacency = (document.getElementById('adjacencySelect')||{}).value || defaultAdjacency(currentTiling);
+  gameSeed = ((document.getElementById('msSeed')||{}).value || '').trim();
+  seedMissed = false;
+  journal = newJournal();
+  if (gameSeed){
+    // Seeded games fix the opening too, so everyone with the seed sees the same layout.
+    const rng = makeRng(gameSeed);
+    const open = gameGrid.cells.map((_,i)=> i).filter(i=> playable(gameGrid,i));
+    const start = open[Math.floor(rng() * open.length)];
+    const generation = generateBoard(gameGrid, [Math.floor(start/cols), start%cols], rng);
+    seedMissed = !!generation && !generation.solved;
+    firstClick = false;
+    revealCell(gameGrid, Math.floor(start/cols), start%cols, activeAdj());
+    journal = journalFromGrid(gameGrid);
+    document.getElementById('msStatus').textContent = generation && !generation.solved ? `Seed "${gameSeed}" — no-guess board not found, normal board` : `Seed "${gameSeed}"`;
+  }
   saveAll();
   renderBoard();
+  emitGameEvent('new-game', { source: 'new' });
+}
+
+function currentTopology(){ const v = (document.getElementById('topologySelect')||{}).value; return TOPOLOGIES[v] ? v : 'plain'; }
+function currentShape(){ return (document.getElementById('shapeSelect')||{}).value || 'rect'; }
+// Cut-out cells are stored as the list of their indices ("holes"), which is short for most shapes.
+function holesOf(grid){ return grid.mask ? grid.mask.map((v,i)=> v ? -1 : i).filter(i=> i>=0) : []; }
+function maskFromHoles(rows,cols,holes){
+  if (!Array.isArray(holes) || !holes.length) return null;
+  const mask = new Array(rows*cols).fill(1);
+  holes.forEach(i=>{ if (i>=0 && i<mask.length) mask[i] = 0; });
+  return mask;
+}
+function boardMask(rows,cols,shape=currentShape()){
+  if (shape !== 'custom') return shapeMask(shape,rows,cols);
+  if (!customMask) return null;
+  const holes = new Set(customMask.holes); const mask = new Array(rows*cols);
+  for (let r=0;r<rows;r++) for (let c=0;c<cols;c++) mask[idx(rows,cols,r,c)] = holes.has(idx(customMask.rows,customMask.cols,Math.floor(r*customMask.rows/rows),Math.floor(c*customMask.cols/cols))) ? 0 : 1;
+  return mask;
+}
+function shapeName(shape=currentShape()){ return SHAPES[shape] && shape !== 'rect' ? SHAPES[shape].toLowerCase() : 'custom shape'; }
+
+function normalizeMode(m){
+  const kind = m && GAME_MODES[m.kind] ? m.kind : 'classic'; const spec = GAME_MODES[kind];
+  return { kind, n: spec.param ? Math.min(spec.max, Math.max(spec.min, Math.round(Number(m.n)) || spec.def)) : 0 };
+}
+function currentMode(){ return normalizeMode({ kind:(document.getElementById('modeSelect')||{}).value, n:(document.getElementById('modeParam')||{}).value }); }
+function setModeControls(mode){
+  const sel = document.getElementById('modeSelect'); if (sel) sel.value = mode.kind;
+  const param = document.getElementById('modeParam'); if (param && mode.n) param.value = mode.n;
+  updateModeParam(true);
+}
+// Switching modes resets the number to that mode's default unless it is restoring a saved one.
+function updateModeParam(keep=false){
+  const spec = GAME_MODES[(document.getElementById('modeSelect')||{}).value] || GAME_MODES.classic;
+  const wrap = document.getElementById('modeParamWrap'); if (wrap) wrap.hidden = !spec.param;
+  const param = document.getElementById('modeParam'); const label = document.getElementById('modeParamLabel');
+  if (!spec.param || !param) return;
+  if (label) label.textContent = spec.param;
+  param.min = spec.min; param.max = spec.max;
+  if (!keep) param.value = spec.def;
+}
+function modeLabel(mode){ return GAME_MODES[mode.kind].label + (mode.kind === 'lives' ? ` ${mode.n}` : mode.kind === 'countdown' ? ` ${formatClock(mode.n)}` : mode.kind === 'multi' ? ` (up to ${mode.n})` : ''); }
+function applyModeToGrid(grid, mode=gameMode){ grid.perCell = mode.kind === 'multi' ? mode.n : 1; return grid; }
+// Lives are never stored: every revealed mine is a hit, so undo, saves and share codes get them right for free.
+function livesLeft(grid, mode=gameMode){ return mode.n - grid.cells.filter(cl=> cl.mine && cl.revealed).length; }
+function outOfLives(grid, mode=gameMode){ return mode.kind !== 'lives' || livesLeft(grid, mode) <= 0; }
+function livesText(n){ return `${n} ${n === 1 ? 'life' : 'lives'} left`; }
+function modeWon(grid){ return checkWin(grid, gameMode.kind === 'flagless'); }
+function updateLives(){
+  const el = document.getElementById('msLives'); if (!el) return;
+  el.hidden = gameMode.kind !== 'lives' || !gameGrid;
+  if (!el.hidden){ const n = Math.max(0, livesLeft(gameGrid)); el.textContent = `❤ ${n}`; el.title = livesText(n); }
+}
+// Mines and flags are listed once per unit, so multi-mine cells round-trip through the same index lists.
+function cellLists(grid){
+  return {
+    mines: mineIndices(grid),
+    revealed: grid.cells.map((c,i)=> c.revealed ? i : -1).filter(i=> i>=0),
+    flagged: grid.cells.flatMap((c,i)=> Array(flagsOn(c)).fill(i))
+  };
+}
+function fillCells(grid, lists){
+  const ok = i=> Number.isInteger(i) && i >= 0 && i < grid.cells.length;
+  (lists.mines||[]).forEach(i=>{ if (ok(i)) addMine(grid.cells[i]); });
+  (lists.revealed||[]).forEach(i=>{ if (ok(i)) grid.cells[i].revealed = true; });
+  (lists.flagged||[]).forEach(i=>{ if (ok(i)) addFlag(grid.cells[i]); });
+}
+
+function startDailyGame(){
+  const day = new Date().toISOString().slice(0,10);
+  const rng = makeRng(`daily-${day}`);
+  const rule = DAILY_RULES[Math.floor(rng() * DAILY_RULES.length)];
+  const rows = 10 + Math.floor(rng() * 9), cols = 12 + Math.floor(rng() * 13);
+  document.getElementById('msRows').value = rows;
+  document.getElementById('msCols').value = cols;
+  document.getElementById('msMines').value = Math.round(rows * cols * rule.density);
+  document.getElementById('msSeed').value = `daily-${day}`;
+  const ng = document.getElementById('noGuess'); if (ng) ng.checked = true;
+  const shapeSel = document.getElementById('shapeSelect'); if (shapeSel) shapeSel.value = 'rect';
+  const topoSel = document.getElementById('topologySelect'); if (topoSel) topoSel.value = 'plain';
+  setModeControls({ kind:'classic', n:0 });
+  currentTiling = rule.tiling;
+  document.getElementById('tilingSelect').value = rule.tiling;
+  populateTilingAdjToDropdown();
+  const sel = document.getElementById('adjacencySelect'); sel.value = rule.adjacency; currentAdjacency = rule.adjacency;
+  const deleteAdjBtn = document.getElementById('deleteAdj'); if (deleteAdjBtn) deleteAdjBtn.style.display = 'none';
+  persistSettings(); startNewGame();
+  const status = document.getElementById('msStatus');
+  status.textContent = status.textContent.replace(`Seed "daily-${day}"`, `Daily ${day}`);
 }
 
 function wireControls(){
@@ -239,22 +956,78 @@ function wireControls(){
   const msRows = document.getElementById('msRows');
   const msCols = document.getElementById('msCols');
   const msMines = document.getElementById('msMines');
+  const msSeed = document.getElementById('msSeed');
   const adj = document.getElementById('adjacencySelect');
+  const tiling = document.getElementById('tilingSelect');
   const theme = document.getElementById('themeSelect');
+  const noGuess = document.getElementById('noGuess');
   const deleteAdjBtn = document.getElementById('deleteAdj');
 
   if (msRows) msRows.addEventListener('change', ()=>{ persistSettings(); startNewGame(); });
   if (msCols) msCols.addEventListener('change', ()=>{ persistSettings(); startNewGame(); });
   if (msMines) msMines.addEventListener('change', ()=>{ persistSettings(); startNewGame(); });
+  if (msSeed) msSeed.addEventListener('change', ()=>{ persistSettings(); startNewGame(); });
+  const dailyBtn = document.getElementById('dailyGame');
+  if (dailyBtn) dailyBtn.addEventListener('click', ()=>{ startDailyGame(); });
+
+  if (tiling) tiling.addEventListener('change', (e)=>{
+    currentTiling = e.target.value;
+    currentAdjacency = populateTilingAdjToDropdown();
+    if (deleteAdjBtn) deleteAdjBtn.style.display = (customAdj && customAdj[currentAdjacency]) ? 'inline-block' : 'none';
+    persistSettings(); startNewGame();
+  });
 
   if (adj) adj.addEventListener('change', (e)=>{
     currentAdjacency = e.target.value;
     if (deleteAdjBtn) deleteAdjBtn.style.display = (customAdj && customAdj[currentAdjacency]) ? 'inline-block' : 'none';
-    if (gameGrid) computeCounts(gameGrid,currentAdjacency);
+    if (gameGrid) computeCounts(gameGrid,activeAdj());
+    if (gameGrid && journal.mines) journal.metrics = placementMetrics(gameGrid);
+    clearHint();
     persistSettings(); renderBoard(); saveAll();
   });
 
-  if (theme) theme.addEventListener('change', (e)=>{ document.body.setAttribute('data-theme', e.target.value || 'dark-ocean'); persistSettings(); saveAll(); renderBoard(); });
+  if (noGuess) noGuess.addEventListener('change', ()=>{ persistSettings(); saveAll(); });
+  const shapeSel = document.getElementById('shapeSelect');
+  if (shapeSel) shapeSel.addEventListener('change', ()=>{ if (shapeSel.value === 'custom' && !customMask){ openMaskEditor(); return; } persistSettings(); startNewGame(); });
+  const topoSel = document.getElementById('topologySelect');
+  if (topoSel) topoSel.addEventListener('change', ()=>{ persistSettings(); startNewGame(); });
+  const modeSel = document.getElementById('modeSelect');
+  if (modeSel) modeSel.addEventListener('change', ()=>{ updateModeParam(); persistSettings(); startNewGame(); });
+  const modeParam = document.getElementById('modeParam');
+  if (modeParam) modeParam.addEventListener('change', ()=>{ persistSettings(); startNewGame(); });
+  const editMaskBtn = document.getElementById('editMask');
+  if (editMaskBtn) editMaskBtn.addEventListener('click', ()=>{ openMaskEditor(); });
+  const closeMaskBtn = document.getElementById('closeMask');
+  if (closeMaskBtn) closeMaskBtn.addEventListener('click', ()=>{ closeMaskEditor(); });
+  const maskFromShapeBtn = document.getElementById('maskFromShape');
+  if (maskFromShapeBtn) maskFromShapeBtn.addEventListener('click', ()=>{ const m = boardMask(maskDraft.rows, maskDraft.cols, document.getElementById('maskBase').value); maskDraft.mask = m || new Array(maskDraft.rows*maskDraft.cols).fill(1); renderMaskEditor(); });
+  const maskInvertBtn = document.getElementById('maskInvert');
+  if (maskInvertBtn) maskInvertBtn.addEventListener('click', ()=>{ maskDraft.mask = maskDraft.mask.map(v=> v ? 0 : 1); renderMaskEditor(); });
+  const saveMaskBtn = document.getElementById('saveMask');
+  if (saveMaskBtn) saveMaskBtn.addEventListener('click', ()=>{ saveMaskDraft(); });
+  setupMaskPainting();
+  const undoToggle = document.getElementById('undoToggle');
+  if (undoToggle) undoToggle.addEventListener('change', ()=>{ if (undoToggle.checked) journal.assisted = true; persistSettings(); saveAll(); updateUndoButtons(); });
+  const undoBtn = document.getElementById('undoMove');
+  if (undoBtn) undoBtn.addEventListener('click', ()=>{ undoMove(); });
+  const redoBtn = document.getElementById('redoMove');
+  if (redoBtn) redoBtn.addEventListener('click', ()=>{ redoMove(); });
+  document.addEventListener('keydown', (e)=>{
+    if (!(e.ctrlKey || e.metaKey) || e.target.matches('input, textarea')) return;
+    const k = e.key.toLowerCase();
+    if (k === 'z' && !e.shiftKey){ e.preventDefault(); undoMove(); }
+    else if (k === 'y' || (k === 'z' && e.shiftKey)){ e.preventDefault(); redoMove(); }
+  });
+  if (theme) theme.addEventListener('change', (e)=>{ applyTheme(e.target.value || 'dark-ocean'); persistSettings(); saveAll(); renderBoard(); });
+  const editThemeBtn = document.getElementById('editTheme');
+  if (editThemeBtn) editThemeBtn.addEventListener('click', ()=>{ openThemeEditor(); });
+  const closeThemeBtn = document.getElementById('closeTheme');
+  if (closeThemeBtn) closeThemeBtn.addEventListener('click', ()=>{ closeThemeEditor(); });
+  const saveThemeBtn = document.getElementById('saveTheme');
+  if (saveThemeBtn) saveThemeBtn.addEventListener('click', ()=>{ saveThemeDraft(); });
+  const deleteThemeBtn = document.getElementById('deleteTheme');
+  if (deleteThemeBtn) deleteThemeBtn.addEventListener('click', ()=>{ deleteCustomTheme(); });
+  document.querySelectorAll('#themeModal [data-key]').forEach(el=> el.addEventListener('input', ()=>{ themeDraft[el.dataset.key] = el.value; renderThemePreview(); }));
   if (deleteAdjBtn){
     deleteAdjBtn.addEventListener('click', ()=>{
       if (!currentAdjacency || !customAdj[currentAdjacency]) return;
@@ -262,7 +1035,7 @@ function wireControls(){
       delete customAdj[currentAdjacency];
       populateCustomAdjToDropdown();
       const sel = document.getElementById('adjacencySelect');
-      if (sel){ sel.value = 'all8'; currentAdjacency = 'all8'; }
+      if (sel){ sel.value = defaultAdjacency(currentTiling); currentAdjacency = sel.value; }
       deleteAdjBtn.style.display = 'none';
       saveAll(); renderBoard();
     });
@@ -275,7 +1048,11 @@ function wireControls(){
   }
 
   const copyBtn = document.getElementById('copyGame');
-  if (copyBtn) copyBtn.addEventListener('click', ()=>{ const s = exportStateString(); navigator.clipboard.writeText(s).then(()=>{ flashStatus('Copied'); }).catch(()=>{ flashStatus('Copy failed'); }); });
+  if (copyBtn) copyBtn.addEventListener('click', ()=>{ exportStateString().then(s=> navigator.clipboard.writeText(s)).then(()=>{ flashStatus('Copied'); }).catch(()=>{ flashStatus('Copy failed'); }); });
+  const copyLinkBtn = document.getElementById('copyLink');
+  if (copyLinkBtn) copyLinkBtn.addEventListener('click', ()=>{ exportStateString().then(s=> navigator.clipboard.writeText(`${location.origin}${location.pathname}#g=${s}`)).then(()=>{ flashStatus('Link copied'); }).catch(()=>{ flashStatus('Copy failed'); }); });
+  const hintBtn = document.getElementById('hintBtn');
+  if (hintBtn) hintBtn.addEventListener('click', ()=>{ showHint(); });
   const pasteBtn = document.getElementById('pasteGame');
   if (pasteBtn) pasteBtn.addEventListener('click', ()=>{ openPasteModal(); });
   const openAdj = document.getElementById('openAdjEditor');
@@ -287,10 +1064,99 @@ function wireControls(){
   if (closePasteBtn) closePasteBtn.addEventListener('click', ()=>{ closePasteModal(); });
 
   const importBtn = document.getElementById('importBtn');
-  if (importBtn) importBtn.addEventListener('click', ()=>{ const v = document.getElementById('pasteInput').value.trim(); try{ importStateString(v); closePasteModal(); flashStatus('Imported'); } catch(e){ flashStatus('Invalid code'); } });
+  if (importBtn) importBtn.addEventListener('click', ()=>{ previewImport(); });
+  const confirmImportBtn = document.getElementById('confirmImport');
+  if (confirmImportBtn) confirmImportBtn.addEventListener('click', ()=>{ confirmImport(); });
+  const cancelImportBtn = document.getElementById('cancelImport');
+  if (cancelImportBtn) cancelImportBtn.addEventListener('click', ()=>{ pendingImport = null; document.getElementById('importPreview').hidden = true; });
 
   const previewStart = document.getElementById('previewStart');
   if (previewStart) previewStart.addEventListener('click', ()=>{ startPreview(); });
+  setupPreviewEvents();
+
+  const savesBtn = document.getElementById('openSaves');
+  if (savesBtn) savesBtn.addEventListener('click', ()=>{ openSavesModal(); });
+  const closeSavesBtn = document.getElementById('closeSaves');
+  if (closeSavesBtn) closeSavesBtn.addEventListener('click', ()=>{ closeSavesModal(); });
+  const saveSlotBtn = document.getElementById('saveSlot');
+  if (saveSlotBtn) saveSlotBtn.addEventListener('click', ()=>{ saveToNewSlot(); });
+  const dismissStorage = document.getElementById('dismissStorageError');
+  if (dismissStorage) dismissStorage.addEventListener('click', ()=>{ document.getElementById('storageError').hidden = true; });
+
+  const exportBtn = document.getElementById('openExport');
+  if (exportBtn) exportBtn.addEventListener('click', ()=>{ openExport(); });
+  const closeExportBtn = document.getElementById('closeExport');
+  if (closeExportBtn) closeExportBtn.addEventListener('click', ()=>{ closeExport(); });
+  ['exportContent','exportLayout'].forEach(id=>{ const el = document.getElementById(id); if (el) el.addEventListener('change', ()=>{ renderExportPreview(); }); });
+  const downloadSvgBtn = document.getElementById('downloadSvg');
+  if (downloadSvgBtn) downloadSvgBtn.addEventListener('click', ()=>{ downloadSvg(); });
+  const oddsBtn = document.getElementById('oddsToggle');
+  if (oddsBtn) oddsBtn.addEventListener('click', ()=>{ toggleOdds(); });
+  const puzzlesBtn = document.getElementById('openPuzzles');
+  if (puzzlesBtn) puzzlesBtn.addEventListener('click', ()=>{ openPuzzles(); });
+  const closePuzzlesBtn = document.getElementById('closePuzzles');
+  if (closePuzzlesBtn) closePuzzlesBtn.addEventListener('click', ()=>{ closePuzzles(); });
+  const packTitle = document.getElementById('packTitle');
+  if (packTitle) packTitle.addEventListener('change', ()=>{ const pack = puzzlePack(); pack.title = packTitle.value.trim(); writeStore(PUZZLES_KEY, pack); });
+  const nextPuzzleBtn = document.getElementById('playNextPuzzle');
+  if (nextPuzzleBtn) nextPuzzleBtn.addEventListener('click', ()=>{ playNextPuzzle(); });
+  const exportPackBtn = document.getElementById('exportPack');
+  if (exportPackBtn) exportPackBtn.addEventListener('click', ()=>{ exportPuzzlePack(); });
+  const importPackFile = document.getElementById('importPackFile');
+  const importPackBtn = document.getElementById('importPack');
+  if (importPackBtn && importPackFile){
+    importPackBtn.addEventListener('click', ()=>{ importPackFile.click(); });
+    importPackFile.addEventListener('change', ()=>{
+      const file = importPackFile.files && importPackFile.files[0]; if (!file) return;
+      file.text().then(importPuzzlePack).then(r=>{ if (r) flashStatus(`Imported ${plural(r.added,'puzzle')}` + (r.skipped ? `, skipped ${r.skipped} invalid` : '')); }).catch(()=> flashStatus('Invalid puzzle pack')).finally(()=>{ importPackFile.value = ''; });
+    });
+  }
+  const resetSolvedBtn = document.getElementById('resetSolved');
+  if (resetSolvedBtn) resetSolvedBtn.addEventListener('click', ()=>{ if (confirm('Mark every puzzle unsolved?')){ writeStore(SOLVED_KEY, {}); renderPuzzleList(); } });
+  const newPuzzleBtn = document.getElementById('newPuzzle');
+  if (newPuzzleBtn) newPuzzleBtn.addEventListener('click', ()=>{ newPuzzleDraft(); });
+  const checkPuzzleBtn = document.getElementById('checkPuzzle');
+  if (checkPuzzleBtn) checkPuzzleBtn.addEventListener('click', ()=>{ renderPuzzleDraft(checkPuzzleDraft().text); });
+  const savePuzzleBtn = document.getElementById('savePuzzle');
+  if (savePuzzleBtn) savePuzzleBtn.addEventListener('click', ()=>{ savePuzzleDraft(); });
+  const puzzleAdj = document.getElementById('puzzleAdj');
+  if (puzzleAdj) puzzleAdj.addEventListener('change', ()=>{ puzzleDraft.odd = []; renderPuzzleDraft(); });
+  setupPuzzleEditor();
+
+  const statsBtn = document.getElementById('openStats');
+  if (statsBtn) statsBtn.addEventListener('click', ()=>{ openStatsModal(); });
+  const closeStatsBtn = document.getElementById('closeStats');
+  if (closeStatsBtn) closeStatsBtn.addEventListener('click', ()=>{ closeStatsModal(); });
+  const resetStatsBtn = document.getElementById('resetStats');
+  if (resetStatsBtn) resetStatsBtn.addEventListener('click', ()=>{ resetStats(); });
+  const exportStatsBtn = document.getElementById('exportStats');
+  if (exportStatsBtn) exportStatsBtn.addEventListener('click', ()=>{ exportStats(); });
+  const importStatsFile = document.getElementById('importStatsFile');
+  const importStatsBtn = document.getElementById('importStats');
+  if (importStatsBtn && importStatsFile){
+    importStatsBtn.addEventListener('click', ()=>{ importStatsFile.click(); });
+    importStatsFile.addEventListener('change', ()=>{
+      const file = importStatsFile.files && importStatsFile.files[0]; if (!file) return;
+      file.text().then(importStats).then(()=> flashStatus('Stats imported')).catch(()=> flashStatus('Invalid stats file')).finally(()=>{ importStatsFile.value = ''; });
+    });
+  }
+
+  const importAdjLibFile = document.getElementById('importAdjLibFile');
+  const importAdjLibBtn = document.getElementById('importAdjLib');
+  if (importAdjLibBtn && importAdjLibFile){
+    importAdjLibBtn.addEventListener('click', ()=>{ importAdjLibFile.click(); });
+    importAdjLibFile.addEventListener('change', ()=>{
+      const file = importAdjLibFile.files && importAdjLibFile.files[0]; if (!file) return;
+      file.text().then(importPatternLibrary).then(n=> flashStatus(`Imported ${plural(n,'pattern')}`)).catch(()=> flashStatus('Invalid pattern library')).finally(()=>{ importAdjLibFile.value = ''; });
+    });
+  }
+
+  const openReplayBtn = document.getElementById('openReplay');
+  if (openReplayBtn) openReplayBtn.addEventListener('click', ()=>{ openReplay(); });
+  const closeReplayBtn = document.getElementById('closeReplay');
+  if (closeReplayBtn) closeReplayBtn.addEventListener('click', ()=>{ closeReplay(); });
+  const replayBtns = { replayFirst:()=> replaySeek(0), replayBack:()=> replaySeek(replay.step - 1), replayPlay:()=> replayToggle(), replayFwd:()=> replaySeek(replay.step + 1), replayLast:()=> replaySeek(replay.journal.moves.length) };
+  for (const id in replayBtns){ const b = document.getElementById(id); if (b) b.addEventListener('click', ()=>{ if (id !== 'replayPlay') replayStop(); replayBtns[id](); }); }
 
   const winClose = document.getElementById('winClose');
   if (winClose) winClose.addEventListener('click', ()=>{ const overlay = document.getElementById('winOverlay'); if (overlay) overlay.style.display = 'none'; });
@@ -298,149 +1164,507 @@ function wireControls(){
   if (winNew) winNew.addEventListener('click', ()=>{ const overlay = document.getElementById('winOverlay'); if (overlay) overlay.style.display = 'none'; startNewGame(); });
 }
 
-function persistSettings(){
-  const settings = {
+function currentSettings(){
+  return {
     rows: Number((document.getElementById('msRows')||{value:12}).value),
     cols: Number((document.getElementById('msCols')||{value:16}).value),
     mines: Number((document.getElementById('msMines')||{value:40}).value),
+    seed: ((document.getElementById('msSeed')||{}).value || '').trim(),
+    tiling: (document.getElementById('tilingSelect')||{}).value || 'square',
     adjacency: (document.getElementById('adjacencySelect')||{}).value || 'all8',
-    theme: (document.getElementById('themeSelect')||{}).value || 'dark-ocean'
+    theme: (document.getElementById('themeSelect')||{}).value || 'dark-ocean',
+    noGuess: !!(document.getElementById('noGuess')||{}).checked,
+    undo: undoEnabled(),
+    shape: currentShape(),
+    customMask,
+    topology: currentTopology(),
+    mode: currentMode()
   };
-  localStorage.setItem(STORAGE_KEY + '_settings', JSON.stringify(settings));
+}
+function persistSettings(){ writeStore(SETTINGS_KEY, { v:SETTINGS_VERSION, settings: currentSettings(), view }); }
+
+function readStore(key){
+  try{ return JSON.parse(localStorage.getItem(key) || 'null'); }catch(e){ console.warn(`${key} is unreadable`, e); return null; }
+}
+// Every write goes through here, so a full quota or blocked storage is shown to the player instead of only being logged.
+function writeStore(key, value){
+  try{ localStorage.setItem(key, JSON.stringify(value)); return true; }
+  catch(e){ console.error(`saving ${key} failed`, e); storageAlert(isQuotaError(e) ? 'Browser storage is full, so the game was not saved. Delete some save slots or reset stats to make room.' : `Saving failed: ${e.message || e}`); return false; }
+}
+function isQuotaError(e){ return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22); }
+function storageAlert(text){
+  const box = document.getElementById('storageError');
+  if (!box){ flashStatus(text); return; }
+  document.getElementById('storageErrorText').textContent = text; box.hidden = false;
 }
 
+function gameState(){
+  return {
+    game: gameGrid ? {
+      rows: gameGrid.rows, cols: gameGrid.cols, tiling: gameGrid.tiling,
+      ...cellLists(gameGrid),
+      firstClick, running, hintsUsed, seed: gameSeed, seedMissed, journal, holes: holesOf(gameGrid), topology: gameGrid.topology, mode: gameMode, puzzle: currentPuzzle
+    } : null,
+    elapsedSeconds,
+    slot: currentSlot
+  };
+}
 function saveAll(){
-  try{
-    const settings = {
-      rows: Number((document.getElementById('msRows')||{value:12}).value),
-      cols: Number((document.getElementById('msCols')||{value:16}).value),
-      mines: Number((document.getElementById('msMines')||{value:40}).value),
-      adjacency: (document.getElementById('adjacencySelect')||{}).value || 'all8',
-      theme: (document.getElementById('themeSelect')||{}).value || 'dark-ocean'
-    };
-    const state = {
-      settings,
-      game: gameGrid ? {
-        mines: gameGrid.cells.map((c,i)=> c.mine ? i : -1).filter(i=> i>=0),
-        revealed: gameGrid.cells.map((c,i)=> c.revealed ? i : -1).filter(i=> i>=0),
-        flagged: gameGrid.cells.map((c,i)=> c.flagged ? i : -1).filter(i=> i>=0),
-        firstClick, running
-      } : null,
-      customAdj,
-      view,
-      elapsedSeconds
-    };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    localStorage.setItem(CUSTOM_KEY, JSON.stringify(customAdj));
-  }catch(e){ console.error('save failed', e); }
+  gameSettings = currentSettings();
+  persistSettings();
+  writeStore(CUSTOM_KEY, customAdj);
+  const state = gameState();
+  if (writeStore(GAME_KEY, state) && currentSlot) writeSlot(currentSlot, null, state);
+}
+
+function restoreShapeSettings(settings){
+  if (settings.customMask && Array.isArray(settings.customMask.holes)) customMask = settings.customMask;
+  const shapeSel = document.getElementById('shapeSelect');
+  if (shapeSel) shapeSel.value = SHAPES[settings.shape] || (settings.shape === 'custom' && customMask) ? settings.shape : 'rect';
+  const topoSel = document.getElementById('topologySelect');
+  if (topoSel) topoSel.value = TOPOLOGIES[settings.topology] ? settings.topology : 'plain';
+  setModeControls(normalizeMode(settings.mode));
+}
+function applySettings(s){
+  if (s.rows) document.getElementById('msRows').value = s.rows;
+  if (s.cols) document.getElementById('msCols').value = s.cols;
+  if (s.mines) document.getElementById('msMines').value = s.mines;
+  document.getElementById('msSeed').value = s.seed || '';
+  applyTheme(s.theme || 'dark-ocean');
+  const ng = document.getElementById('noGuess'); if (ng) ng.checked = !!s.noGuess;
+  const ut = document.getElementById('undoToggle'); if (ut) ut.checked = !!s.undo;
+
+  currentTiling = TILINGS[s.tiling] ? s.tiling : 'square';
+  const tilingSel = document.getElementById('tilingSelect');
+  if (tilingSel) tilingSel.value = currentTiling;
+  populateTilingAdjToDropdown();
+  const adjToSet = s.adjacency || defaultAdjacency(currentTiling);
+  const sel = document.getElementById('adjacencySelect');
+  if (sel){ sel.value = adjToSet; if (sel.value !== adjToSet) sel.value = defaultAdjacency(currentTiling); currentAdjacency = sel.value; }
+  const deleteAdjBtn = document.getElementById('deleteAdj');
+  if (deleteAdjBtn) deleteAdjBtn.style.display = (customAdj && customAdj[currentAdjacency]) ? 'inline-block' : 'none';
+  restoreShapeSettings(s);
+}
+// state is what gameState() wrote; v1 games carry no size, so the settings fill it in.
+function restoreGame(state, settings={}){
+  const s = state.game;
+  if (!s) return;
+  const r = s.rows || settings.rows || Number(document.getElementById('msRows').value);
+  const c = s.cols || settings.cols || Number(document.getElementById('msCols').value);
+  gameMode = normalizeMode(s.mode || settings.mode);
+  gameGrid = applyModeToGrid(createGrid(r,c,TILINGS[s.tiling] ? s.tiling : currentTiling,maskFromHoles(r,c,s.holes),TOPOLOGIES[s.topology] ? s.topology : 'plain'));
+  fillCells(gameGrid, s);
+  firstClick = !!s.firstClick;
+  running = !!s.running;
+  hintsUsed = Number(s.hintsUsed) || 0;
+  gameSeed = typeof s.seed === 'string' ? s.seed : '';
+  seedMissed = !!s.seedMissed;
+  currentPuzzle = typeof s.puzzle === 'string' ? s.puzzle : null;
+  journal = s.journal && Array.isArray(s.journal.moves) ? { ...newJournal(), ...s.journal } : (firstClick ? newJournal() : journalFromGrid(gameGrid));
+  computeCounts(gameGrid, activeAdj());
+  document.getElementById('msStatus').textContent = running ? (firstClick ? 'Ready — first click is safe' : 'Playing...') : modeWon(gameGrid) ? 'You win!' : 'Game over';
+  elapsedSeconds = typeof state.elapsedSeconds === 'number' ? state.elapsedSeconds : 0;
+  startTime = Date.now() - (elapsedSeconds * 1000); updateTimer();
+}
+
+// v1 kept the settings twice (polyweave_state_v1_settings, and inside polyweave_state_v1, which won) next to the game
+// and a copy of the custom patterns. They move into one settings store and the game store, then the v1 keys go.
+function migrateStorage(){
+  const store = readStore(SETTINGS_KEY);
+  if (store && store.v >= SETTINGS_VERSION) return;
+  const oldSettings = readStore(STORAGE_KEY + '_settings'), old = readStore(STORAGE_KEY);
+  if (!oldSettings && !old) return;
+  const settings = { ...(oldSettings || {}), ...((old && old.settings) || {}) };
+  if (old && old.customAdj && !readStore(CUSTOM_KEY)) writeStore(CUSTOM_KEY, old.customAdj);
+  const game = old && old.game ? { ...old.game, rows: old.game.rows || settings.rows, cols: old.game.cols || settings.cols, tiling: old.game.tiling || settings.tiling } : null;
+  if (!writeStore(SETTINGS_KEY, { v:SETTINGS_VERSION, settings, view: (old && old.view) || null })) return;
+  if (game && !writeStore(GAME_KEY, { game, elapsedSeconds: Number(old.elapsedSeconds) || 0, slot:null })) return;
+  try{ localStorage.removeItem(STORAGE_KEY); localStorage.removeItem(STORAGE_KEY + '_settings'); }catch(e){ console.warn('could not remove v1 keys', e); }
 }
 
 function loadAll(){
   isLoading = true;
   try{
-    const savedCustom = JSON.parse(localStorage.getItem(CUSTOM_KEY) || '{}');
+    migrateStorage();
+    const savedCustom = readStore(CUSTOM_KEY);
     if (savedCustom && typeof savedCustom === 'object'){ customAdj = savedCustom; populateCustomAdjToDropdown(); }
-
-    const settingsRaw = JSON.parse(localStorage.getItem(STORAGE_KEY + '_settings') || 'null');
-    if (settingsRaw){
-      document.getElementById('msRows').value = settingsRaw.rows;
-      document.getElementById('msCols').value = settingsRaw.cols;
-      document.getElementById('msMines').value = settingsRaw.mines;
-      document.getElementById('themeSelect').value = settingsRaw.theme || 'dark-ocean';
-      document.body.setAttribute('data-theme', settingsRaw.theme || 'dark-ocean');
-    }
-
-    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
-    if (raw && raw.customAdj){ customAdj = raw.customAdj; populateCustomAdjToDropdown(); }
-
-    const adjToSet = (raw && raw.settings && raw.settings.adjacency) || (settingsRaw && settingsRaw.adjacency) || 'all8';
-    const sel = document.getElementById('adjacencySelect');
-    if (sel){ sel.value = adjToSet; currentAdjacency = adjToSet; }
-    const deleteAdjBtn = document.getElementById('deleteAdj');
-    if (deleteAdjBtn) deleteAdjBtn.style.display = (customAdj && customAdj[currentAdjacency]) ? 'inline-block' : 'none';
-
-    if (raw && raw.settings){
-      document.getElementById('msRows').value = raw.settings.rows;
-      document.getElementById('msCols').value = raw.settings.cols;
-      document.getElementById('msMines').value = raw.settings.mines;
-      document.getElementById('themeSelect').value = raw.settings.theme || 'dark-ocean';
-      document.body.setAttribute('data-theme', raw.settings.theme || 'dark-ocean');
-    }
-
-    if (raw && raw.game){
-      const s = raw.game;
-      const r = (raw.settings && raw.settings.rows) || Number(document.getElementById('msRows').value);
-      const c = (raw.settings && raw.settings.cols) || Number(document.getElementById('msCols').value);
-      gameGrid = createGrid(r,c);
-      (s.mines||[]).forEach(i => { if (i >=0 && i < gameGrid.cells.length) gameGrid.cells[i].mine = true; });
-      (s.revealed||[]).forEach(i => { if (i >=0 && i < gameGrid.cells.length) gameGrid.cells[i].revealed = true; });
-      (s.flagged||[]).forEach(i => { if (i >=0 && i < gameGrid.cells.length) gameGrid.cells[i].flagged = true; });
-      firstClick = !!s.firstClick;
-      running = !!s.running;
-      computeCounts(gameGrid, document.getElementById('adjacencySelect').value);
-if (checkWin(gameGrid) && !running){
-  document.getElementById('msStatus').textContent = 'You win!';
-}
-
+    const savedThemes = readStore(THEMES_KEY);
+    if (savedThemes && typeof savedThemes === 'object'){ customThemes = savedThemes; populateThemeSelect(); }
+    const store = readStore(SETTINGS_KEY) || {};
+    applySettings(store.settings || {});
+    if (store.view) Object.assign(view, store.view);
+    const state = readStore(GAME_KEY);
+    if (state){
+      restoreGame(state, store.settings);
+      currentSlot = state.slot && slotIndex().slots.some(x=> x.id === state.slot) ? state.slot : null;
     }
-
-    if (raw && raw.view){ Object.assign(view, raw.view); }
-    if (raw && typeof raw.elapsedSeconds === 'number'){ elapsedSeconds = raw.elapsedSeconds; startTime = Date.now() - (elapsedSeconds * 1000); updateTimer(); }
   }catch(e){ console.warn('load failed', e); }
   isLoading = false;
 }
 
-function exportStateString(){
+// Each slot keeps its game under its own key; the index holds just what the list shows, so auto-saving rewrites one slot.
+function slotIndex(){ const index = readStore(SLOTS_KEY); return index && Array.isArray(index.slots) ? index : { v:SETTINGS_VERSION, slots:[] }; }
+function boardLabel(s){
+  const grid = gameGrid || { tiling:s.tiling, rows:s.rows, cols:s.cols, mask:null, topology:s.topology };
+  return `${tilingOf(grid.tiling).label} ${grid.rows}×${grid.cols}${grid.mask ? ` ${shapeName(s.shape)}` : ''}${grid.topology !== 'plain' ? ` ${TOPOLOGIES[grid.topology].toLowerCase()}` : ''} · ${plural(gameGrid && !firstClick ? mineIndices(gameGrid).length : s.mines,'mine')}${gameMode.kind !== 'classic' ? ` · ${modeLabel(gameMode)}` : ''}`;
+}
+function gameProgress(){
+  if (!gameGrid || firstClick) return 'Not started';
+  if (!running) return modeWon(gameGrid) ? 'Won' : 'Lost';
+  const safe = gameGrid.cells.filter((cl,i)=> playable(gameGrid,i) && !cl.mine);
+  return `${Math.floor(100 * safe.filter(cl=> cl.revealed).length / safe.length)}% cleared`;
+}
+// name null keeps the slot's name (auto-save). Returns false when storage refused it.
+function writeSlot(id, name, state=gameState()){
+  const index = slotIndex(); const at = index.slots.findIndex(x=> x.id === id);
+  if (name == null && at < 0) return false;
+  const settings = gameSettings || currentSettings();
+  const info = { id, name: name == null ? index.slots[at].name : name, date: new Date().toISOString(), board: boardLabel(settings), adjacency: ADJ_LABELS[settings.adjacency] || settings.adjacency, progress: gameProgress() };
+  if (!writeStore(SLOT_PREFIX + id, { ...state, slot:id, settings, pattern: customAdj[settings.adjacency] || null })) return false;
+  if (at >= 0) index.slots[at] = info; else index.slots.unshift(info);
+  return writeStore(SLOTS_KEY, index);
+}
+function newSlotId(){ return Date.now().toString(36) + Math.random().toString(36).slice(2,6); }
+function uniqueSlotName(base){
+  const names = new Set(slotIndex().slots.map(x=> x.name)); let name = base, i = 2;
+  while (names.has(name)) name = `${base} ${i++}`;
+  return name;
+}
+const AUTOSAVE_SLOT = 'autosave';
+// An unfinished game no slot is tracking goes to the Autosave slot before anything replaces it.
+function stashUnfinished(){
+  if (!gameGrid || firstClick || !running || currentSlot) return;
+  if (writeSlot(AUTOSAVE_SLOT, 'Autosave')) flashStatus('Unfinished game kept in Autosave');
+}
+function saveToNewSlot(){
+  const input = document.getElementById('slotName');
+  const name = uniqueSlotName((input && input.value.trim()) || `Game ${new Date().toLocaleString()}`);
+  const id = newSlotId();
+  if (!writeSlot(id, name)) return;
+  currentSlot = id; if (input) input.value = '';
+  saveAll(); renderSlots(); flashStatus(`Saved "${name}"`);
+}
+function loadSlot(id){
+  const data = readStore(SLOT_PREFIX + id);
+  if (!data || !data.game || !data.settings){ storageAlert('That save slot is missing or unreadable.'); return; }
+  stashUnfinished();
+  isLoading = true;
+  try{
+    const adjName = data.settings.adjacency;
+    if (data.pattern && adjName && !customAdj[adjName] && !isBuiltinAdjacency(adjName)){ customAdj[adjName] = data.pattern; populateCustomAdjToDropdown(); }
+    stopTimer(); clearHint();
+    applySettings(data.settings);
+    restoreGame(data, data.settings);
+  }finally{ isLoading = false; }
+  currentSlot = id;
+  const overlay = document.getElementById('winOverlay'); if (overlay) overlay.style.display = 'none';
+  saveAll(); renderBoard(); renderSlots(); closeSavesModal();
+}
+function duplicateSlot(id){
+  const index = slotIndex(); const src = index.slots.find(x=> x.id === id); const data = readStore(SLOT_PREFIX + id);
+  if (!src || !data){ storageAlert('That save slot is missing or unreadable.'); return; }
+  const copy = { ...src, id: newSlotId(), name: uniqueSlotName(src.name), date: new Date().toISOString() };
+  if (!writeStore(SLOT_PREFIX + copy.id, { ...data, slot: copy.id })) return;
+  index.slots.splice(index.slots.indexOf(src) + 1, 0, copy);
+  writeStore(SLOTS_KEY, index); renderSlots();
+}
+function deleteSlot(id){
+  const index = slotIndex(); const slot = index.slots.find(x=> x.id === id);
+  if (!slot || !confirm(`Delete save "${slot.name}"? This cannot be undone.`)) return;
+  index.slots = index.slots.filter(x=> x !== slot);
+  try{ localStorage.removeItem(SLOT_PREFIX + id); }catch(e){ console.warn('slot remove failed', e); }
+  writeStore(SLOTS_KEY, index);
+  if (currentSlot === id){ currentSlot = null; saveAll(); }
+  renderSlots();
+}
+function openSavesModal(){ document.getElementById('savesModal').setAttribute('aria-hidden','false'); renderSlots(); }
+function closeSavesModal(){ const m = document.getElementById('savesModal'); if (m) m.setAttribute('aria-hidden','true'); }
+function renderSlots(){
+  const body = document.getElementById('slotsBody'); if (!body) return;
+  body.innerHTML = '';
+  const slots = slotIndex().slots;
+  if (!slots.length){ const tr = document.createElement('tr'); const td = document.createElement('td'); td.colSpan = 6; td.textContent = 'No saved games yet.'; tr.appendChild(td); body.appendChild(tr); }
+  for (const slot of slots){
+    const tr = document.createElement('tr');
+    if (slot.id === currentSlot) tr.classList.add('selected');
+    const cols = [slot.name + (slot.id === currentSlot ? ' (auto-saving)' : ''), slot.board, slot.adjacency, slot.progress, new Date(slot.date).toLocaleString()];
+    for (const v of cols){ const td = document.createElement('td'); td.textContent = String(v); tr.appendChild(td); }
+    const td = document.createElement('td'); td.className = 'slot-actions';
+    [['Load', loadSlot], ['Duplicate', duplicateSlot], ['Delete', deleteSlot]].forEach(([text, fn])=>{
+      const b = document.createElement('button'); b.className = 'ms-btn'; b.textContent = text; b.setAttribute('aria-label', `${text} ${slot.name}`);
+      b.addEventListener('click', ()=>{ fn(slot.id); }); td.appendChild(b);
+    });
+    tr.appendChild(td); body.appendChild(tr);
+  }
+}
+
+// Share codes are "<version>.<base64url>". v2 deflates a small JSON header (settings, game flags, the pattern in use)
+// followed by 3 bits per cell: mine, revealed, flagged. Older codes are plain base64 JSON with v:1 inside.
+const SHARE_VERSION = 2;
+async function exportStateString(){
   const settings = {
     rows: Number(document.getElementById('msRows').value),
     cols: Number(document.getElementById('msCols').value),
     mines: Number(document.getElementById('msMines').value),
+    seed: document.getElementById('msSeed').value.trim(),
+    tiling: document.getElementById('tilingSelect').value,
     adjacency: document.getElementById('adjacencySelect').value,
-    theme: document.getElementById('themeSelect').value
+    theme: document.getElementById('themeSelect').value,
+    shape: currentShape(),
+    topology: currentTopology(),
+    mode: currentMode()
   };
-  const game = gameGrid ? {
-    mines: gameGrid.cells.map((c,i)=> c.mine ? i : -1).filter(i=>i>=0),
-    revealed: gameGrid.cells.map((c,i)=> c.revealed ? i : -1).filter(i=>i>=0),
-    flagged: gameGrid.cells.map((c,i)=> c.flagged ? i : -1).filter(i=>i>=0),
-    firstClick, running
-  } : null;
-  const payload = { v:1, s:settings, g:game, custom:customAdj };
-  return btoa(unescape(encodeURIComponent(JSON.stringify(payload))));
+  const header = { s:settings, g: gameGrid ? { rows:gameGrid.rows, cols:gameGrid.cols, firstClick, running, hintsUsed, seed: gameSeed, ...(seedMissed ? { seedMissed } : {}), holes: holesOf(gameGrid), mode: gameMode } : null };
+  // The bits only say whether a cell has mines or flags; amounts above one ride along in the header.
+  if (gameGrid && gameGrid.perCell > 1){ const { mines, flagged } = cellLists(gameGrid); header.g.more = { mines: repeatsOf(mines), flags: repeatsOf(flagged) }; }
+  if (customAdj[settings.adjacency]) header.p = customAdj[settings.adjacency];
+  const head = new TextEncoder().encode(JSON.stringify(header));
+  const cells = gameGrid ? gameGrid.cells : [];
+  const bytes = new Uint8Array(4 + head.length + Math.ceil(cells.length*3/8));
+  new DataView(bytes.buffer).setUint32(0, head.length);
+  bytes.set(head, 4);
+  cells.forEach((cl,i)=>{ [cl.mine, cl.revealed, cl.flagged].forEach((on,k)=>{ const bit = i*3 + k; if (on) bytes[4 + head.length + (bit>>3)] |= 1 << (bit&7); }); });
+  return `${SHARE_VERSION}.${toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')))}`;
+}
+function repeatsOf(list){ const seen = new Set(); return list.filter(i=> seen.has(i) || !seen.add(i)); }
+async function pipeBytes(bytes, transform){ return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer()); }
+function toBase64Url(bytes){
+  let bin = ''; for (let i=0;i<bytes.length;i+=0x8000) bin += String.fromCharCode(...bytes.subarray(i, i+0x8000));
+  return btoa(bin).replace(/\+/g,'-').replace(/\//g,'_').replace(/=+$/,'');
+}
+function fromBase64Url(str){
+  const bin = atob(str.replace(/-/g,'+').replace(/_/g,'/'));
+  return Uint8Array.from(bin, ch=> ch.charCodeAt(0));
 }
 
-function importStateString(str){
-  const json = JSON.parse(decodeURIComponent(escape(atob(str))));
-  if (!json || !json.s) throw new Error('invalid');
-
+function decodeShareV1(code){
+  let json;
+  try { json = JSON.parse(decodeURIComponent(escape(atob(code)))); }
+  catch(e){ throw new Error('Not a game code: it is neither a v2 code nor valid v1 base64 JSON'); }
+  if (!json || typeof json !== 'object') throw new Error('Not a game code');
+  if (Number(json.v) > 1) throw new Error(`This code needs a newer version of the game (v${json.v}); reload the page to update`);
+  if (!json.s) throw new Error('The code has no board settings');
+  return { s: json.s, g: json.g, custom: json.custom || null };
+}
+async function decodeShareV2(body){
+  let bytes;
+  try { bytes = await pipeBytes(fromBase64Url(body), new DecompressionStream('deflate-raw')); }
+  catch(e){ throw new Error('The code is damaged or incomplete: it does not decompress'); }
+  let header;
+  try {
+    const len = new DataView(bytes.buffer, bytes.byteOffset).getUint32(0);
+    header = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + len)));
+    bytes = bytes.subarray(4 + len);
+  } catch(e){ throw new Error('The code is damaged: its header is unreadable'); }
+  if (!header || !header.s) throw new Error('The code has no board settings');
+  const out = { s: header.s, g: null, custom: header.p ? { [header.s.adjacency]: header.p } : null };
+  if (header.g){
+    const n = header.g.rows * header.g.cols;
+    if (!(n > 0) || bytes.length < Math.ceil(n*3/8)) throw new Error('The code is truncated: cell data is missing');
+    const bit = k=> (bytes[k>>3] >> (k&7)) & 1;
+    const list = k=> { const a=[]; for (let i=0;i<n;i++) if (bit(i*3 + k)) a.push(i); return a; };
+    out.s = { ...header.s, rows: header.g.rows, cols: header.g.cols };
+    const more = header.g.more || {};
+    out.g = { ...header.g, mines: list(0).concat(more.mines || []), revealed: list(1), flagged: list(2).concat(more.flags || []) };
+    delete out.g.more;
+  }
+  return out;
+}
+// Accepts a bare code or a whole "#g=" link and returns the decoded, validated state without applying it.
+// Errors carry a message meant for the player.
+async function readStateString(str){
+  const code = String(str || '').trim().replace(/^.*#g=/, '');
+  if (!code) throw new Error('Paste a game code first');
+  const m = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(code);
+  let json;
+  if (!m) json = decodeShareV1(code);
+  else if (Number(m[1]) > SHARE_VERSION) throw new Error(`This code needs a newer version of the game (v${m[1]}); reload the page to update`);
+  else if (Number(m[1]) === 2) json = await decodeShareV2(m[2]);
+  else throw new Error(`Unknown code version v${m[1]}`);
+  validateSharedState(json);
+  return json;
+}
+async function importStateString(str, choices){ applySharedState(await readStateString(str), choices); }
+
+const SHARE_LIMITS = { minSide:3, maxSide:240, maxWeight:9, maxSeed:64 };
+function patternProblem(offsets){
+  if (!Array.isArray(offsets) || !offsets.length) return 'is not a non-empty list of offsets';
+  const seen = new Set(), r = EDITOR_MAX_RADIUS, wmax = SHARE_LIMITS.maxWeight;
+  for (const o of offsets){
+    if (!Array.isArray(o) || (o.length !== 2 && o.length !== 3) || !o.every(Number.isInteger)) return `has an entry that is not [row, col] or [row, col, weight] in whole numbers: ${JSON.stringify(o)}`;
+    const [dr,dc,w=1] = o;
+    if (!dr && !dc) return 'counts the cell itself ([0, 0])';
+    if (Math.abs(dr) > r || Math.abs(dc) > r) return `reaches ${JSON.stringify([dr,dc])}, beyond the ${r}-cell limit`;
+    if (!w || Math.abs(w) > wmax) return `has weight ${w}; weights must be from -${wmax} to ${wmax} and not 0`;
+    if (seen.has(`${dr},${dc}`)) return `lists ${JSON.stringify([dr,dc])} twice`;
+    seen.add(`${dr},${dc}`);
+  }
+  return null;
+}
+// Every problem found is reported at once, so a hand-edited code can be fixed in one pass.
+function validateSharedState(json){
+  const errs = [], s = json.s || {}, L = SHARE_LIMITS;
+  const whole = (v,lo,hi)=> Number.isInteger(v) && v >= lo && v <= hi;
+  if (!whole(s.rows, L.minSide, L.maxSide)) errs.push(`rows must be a whole number from ${L.minSide} to ${L.maxSide} (got ${JSON.stringify(s.rows)})`);
+  if (!whole(s.cols, L.minSide, L.maxSide)) errs.push(`columns must be a whole number from ${L.minSide} to ${L.maxSide} (got ${JSON.stringify(s.cols)})`);
+  const n = (Number(s.rows) || 0) * (Number(s.cols) || 0);
+  for (const mode of [s.mode, json.g && json.g.mode]){
+    if (mode == null) continue;
+    const spec = GAME_MODES[mode.kind];
+    if (!spec) errs.push(`unknown game mode ${JSON.stringify(mode.kind)}`);
+    else if (spec.param && !whole(mode.n, spec.min, spec.max)) errs.push(`${spec.label} needs ${spec.param.toLowerCase()} from ${spec.min} to ${spec.max} (got ${JSON.stringify(mode.n)})`);
+  }
+  const played = (json.g && json.g.mode) || s.mode || {};
+  const per = played.kind === 'multi' && whole(played.n, 2, GAME_MODES.multi.max) ? played.n : 1;
+  if (!whole(s.mines, 1, Math.max(1, (n - 1) * per))) errs.push(`mines must be a whole number from 1 to ${Math.max(1, (n - 1) * per)} (got ${JSON.stringify(s.mines)})`);
+  if (!TILINGS[s.tiling]) errs.push(`unknown tiling ${JSON.stringify(s.tiling)}`);
+  if (s.topology != null && !TOPOLOGIES[s.topology]) errs.push(`unknown topology ${JSON.stringify(s.topology)}`);
+  if (s.seed != null && (typeof s.seed !== 'string' || s.seed.length > L.maxSeed)) errs.push(`the seed must be text of at most ${L.maxSeed} characters`);
+  if (json.custom != null && (typeof json.custom !== 'object' || Array.isArray(json.custom))) errs.push('the custom patterns are not a name → offsets map');
+  else for (const [name, offsets] of Object.entries(json.custom || {})){
+    // Only the pattern the game plays has to be sound; broken spares are dropped (named in json.dropped) instead.
+    const p = patternProblem(offsets);
+    if (p && name === s.adjacency) errs.push(`pattern "${name}" ${p}`);
+    else if (p){ delete json.custom[name]; (json.dropped || (json.dropped = [])).push(name); }
+  }
+  const incoming = json.custom || {};
+  if (TILINGS[s.tiling] && !tilingOf(s.tiling).adj.includes(s.adjacency) && !incoming[s.adjacency] && !customAdj[s.adjacency]) errs.push(`adjacency ${JSON.stringify(s.adjacency)} is neither built in for ${tilingOf(s.tiling).label} nor included in the code`);
+  if (json.g){
+    if (json.g.holes != null && (!Array.isArray(json.g.holes) || !json.g.holes.every(i=> whole(i, 0, n - 1)))) errs.push(`the shape cuts out cells outside the ${s.rows}×${s.cols} board`);
+    const holes = new Set(json.g.holes || []);
+    if (n - holes.size < 2) errs.push('the shape leaves fewer than 2 playable cells');
+    else if (Array.isArray(json.g.mines) && json.g.mines.length > (n - holes.size - 1) * per) errs.push(`${json.g.mines.length} mines do not fit in ${n - holes.size} playable cells`);
+    if (['mines','revealed','flagged'].some(k=> Array.isArray(json.g[k]) && json.g[k].some(i=> holes.has(i)))) errs.push('the game uses cells that its shape cuts out');
+    for (const key of ['mines','revealed','flagged']){
+      const list = json.g[key];
+      if (list != null && (!Array.isArray(list) || !list.every(i=> whole(i, 0, n - 1)))) errs.push(`the ${key} list has cells outside the ${s.rows}×${s.cols} board`);
+      else if (list && key !== 'revealed' && repeatsOf(list).length > (per - 1) * new Set(list).size) errs.push(`the ${key} list puts more than ${per} on a cell`);
+    }
+    if (json.g.seed != null && (typeof json.g.seed !== 'string' || json.g.seed.length > L.maxSeed)) errs.push(`the game seed must be text of at most ${L.maxSeed} characters`);
+  }
+  if (errs.length) throw new Error(`This code can't be imported: ${errs.join('; ')}.`);
+}
+// Names the code shares with local patterns that hold different offsets; these need a choice before importing.
+function patternConflicts(json){
+  return Object.entries(json.custom || {}).filter(([name, offsets])=> (customAdj[name] && JSON.stringify(customAdj[name]) !== JSON.stringify(offsets)) || isBuiltinAdjacency(name)).map(([name])=> name);
+}
+// choices[name] is { action:'both'|'rename'|'overwrite', as } for each conflicting name; anything else keeps both.
+function applySharedState(json, choices={}){
   if (json.custom){
-    customAdj = json.custom;
+    const conflicts = new Set(patternConflicts(json));
+    for (const [name, offsets] of Object.entries(json.custom)){
+      let target = name;
+      if (conflicts.has(name)){
+        const choice = choices[name] || {};
+        if (choice.action === 'overwrite' && !isBuiltinAdjacency(name)) target = name;
+        else if (choice.action === 'rename' && choice.as && choice.as.trim()) target = customAdj[choice.as.trim()] || isBuiltinAdjacency(choice.as.trim()) ? uniquePatternName(choice.as.trim()) : choice.as.trim();
+        else target = uniquePatternName(name);
+      }
+      customAdj[target] = offsets;
+      if (target !== name && json.s.adjacency === name) json.s = { ...json.s, adjacency: target };
+    }
     populateCustomAdjToDropdown();
   }
 
   document.getElementById('msRows').value = json.s.rows;
   document.getElementById('msCols').value = json.s.cols;
   document.getElementById('msMines').value = json.s.mines;
+  document.getElementById('msSeed').value = json.s.seed || '';
+
+  currentTiling = TILINGS[json.s.tiling] ? json.s.tiling : 'square';
+  const tilingSel = document.getElementById('tilingSelect');
+  if (tilingSel) tilingSel.value = currentTiling;
+  populateTilingAdjToDropdown();
 
   const sel = document.getElementById('adjacencySelect');
-  if (sel){ sel.value = json.s.adjacency || 'all8'; currentAdjacency = json.s.adjacency || 'all8'; }
+  if (sel){ sel.value = json.s.adjacency || defaultAdjacency(currentTiling); if (!sel.value) sel.value = defaultAdjacency(currentTiling); currentAdjacency = sel.value; }
   const deleteAdjBtn = document.getElementById('deleteAdj');
   if (deleteAdjBtn) deleteAdjBtn.style.display = (customAdj && customAdj[currentAdjacency]) ? 'inline-block' : 'none';
 
-  document.getElementById('themeSelect').value = json.s.theme || 'dark-ocean';
-  document.body.setAttribute('data-theme', json.s.theme || 'dark-ocean');
+  applyTheme(json.s.theme || 'dark-ocean');
+  const shapeSel = document.getElementById('shapeSelect');
+  if (json.g && json.g.holes && json.g.holes.length && !SHAPES[json.s.shape]) customMask = { rows: json.s.rows, cols: json.s.cols, holes: json.g.holes.slice() };
+  if (shapeSel) shapeSel.value = SHAPES[json.s.shape] || (json.s.shape === 'custom' && customMask) ? json.s.shape : 'rect';
+  const topoSel = document.getElementById('topologySelect');
+  if (topoSel) topoSel.value = json.s.topology || 'plain';
+  setModeControls(normalizeMode(json.s.mode));
 
   if (json.g){
+    stashUnfinished(); currentSlot = null; currentPuzzle = null;
     const r = json.s.rows, c = json.s.cols;
-    gameGrid = createGrid(r,c);
-    (json.g.mines||[]).forEach(i=>{ if (i>=0 && i<gameGrid.cells.length) gameGrid.cells[i].mine=true; });
-    (json.g.revealed||[]).forEach(i=>{ if (i>=0 && i<gameGrid.cells.length) gameGrid.cells[i].revealed=true; });
-    (json.g.flagged||[]).forEach(i=>{ if (i>=0 && i<gameGrid.cells.length) gameGrid.cells[i].flagged=true; });
+    gameMode = normalizeMode(json.g.mode || json.s.mode);
+    gameGrid = applyModeToGrid(createGrid(r,c,currentTiling,maskFromHoles(r,c,json.g.holes),json.s.topology || 'plain'));
+    fillCells(gameGrid, json.g);
     firstClick = !!json.g.firstClick;
     running = !!json.g.running;
-    computeCounts(gameGrid, document.getElementById('adjacencySelect').value);
+    hintsUsed = Number(json.g.hintsUsed) || 0;
+    gameSeed = typeof json.g.seed === 'string' ? json.g.seed : '';
+    seedMissed = !!json.g.seedMissed;
+    journal = firstClick ? newJournal() : journalFromGrid(gameGrid);
+    clearHint();
+    computeCounts(gameGrid, activeAdj());
   }
 
   saveAll(); renderBoard();
+  if (json.g) emitGameEvent('new-game', { source: 'shared' });
+}
+// Links open the paste dialog on the decoded game, so nothing is replaced until the player confirms.
+function loadFromHash(){
+  const m = /^#g=(.+)$/.exec(location.hash || '');
+  if (!m) return;
+  history.replaceState(null, '', location.pathname + location.search);
+  const input = document.getElementById('pasteInput'); if (input) input.value = decodeURIComponent(m[1]);
+  openPasteModal();
+  previewImport();
+}
+
+let pendingImport = null;
+function previewImport(){
+  const err = document.getElementById('pasteError'); const box = document.getElementById('importPreview');
+  if (err) err.textContent = '';
+  pendingImport = null; if (box) box.hidden = true;
+  readStateString(document.getElementById('pasteInput').value).then(json=>{
+    pendingImport = json;
+    renderImportPreview(json);
+  }).catch(e=>{ if (err) err.textContent = e.message; else flashStatus(e.message); });
+}
+function renderImportPreview(json){
+  const box = document.getElementById('importPreview');
+  if (!box) return;
+  const s = json.s, g = json.g;
+  const adjName = ADJ_LABELS[s.adjacency] || s.adjacency;
+  const progress = !g ? 'settings only, no game' : g.firstClick ? 'not started' : `${plural((g.revealed||[]).length,'cell')} revealed, ${plural((g.flagged||[]).length,'flag')}${g.seedMissed ? ' (no-guess not reached)' : ''}`;
+  const mode = normalizeMode((g && g.mode) || s.mode);
+  document.getElementById('importSummary').textContent = `${tilingOf(s.tiling).label} ${s.rows}×${s.cols}${s.topology && s.topology !== 'plain' ? ` ${TOPOLOGIES[s.topology].toLowerCase()}` : ''} · ${plural(s.mines,'mine')} · ${adjName}${mode.kind !== 'classic' ? ` · ${modeLabel(mode)}` : ''} · ${progress}${droppedNote(json)}`;
+  const svg = document.getElementById('importSvg');
+  if (g){
+    const grid = createGrid(s.rows, s.cols, s.tiling, maskFromHoles(s.rows, s.cols, g.holes), s.topology || 'plain');
+    fillCells(grid, g);
+    computeCounts(grid, (json.custom && json.custom[s.adjacency]) || resolveAdjacency(s.adjacency, s.tiling));
+    drawBoard(svg, grid, false); svg.style.display = '';
+  } else { svg.innerHTML = ''; svg.style.display = 'none'; }
+  const host = document.getElementById('importConflicts'); host.innerHTML = '';
+  for (const name of patternConflicts(json)){
+    const row = document.createElement('div'); row.className = 'import-conflict'; row.dataset.name = name;
+    const label = document.createElement('span'); label.textContent = `"${name}" already exists with different offsets:`;
+    const sel = document.createElement('select');
+    [['both','Keep both'],['rename','Rename incoming'],['overwrite','Overwrite mine']].forEach(([v,t])=>{ if (v === 'overwrite' && isBuiltinAdjacency(name)) return; const o = document.createElement('option'); o.value = v; o.textContent = t; sel.appendChild(o); });
+    const as = document.createElement('input'); as.type = 'text'; as.value = uniquePatternName(name); as.hidden = true; as.setAttribute('aria-label', `New name for ${name}`);
+    sel.addEventListener('change', ()=>{ as.hidden = sel.value !== 'rename'; });
+    row.append(label, sel, as); host.appendChild(row);
+  }
+  box.hidden = false;
+}
+function droppedNote(json){ return json.dropped ? ` · skipped ${plural(json.dropped.length,'broken pattern')} it doesn't use: ${json.dropped.map(n=> `"${n}"`).join(', ')}` : ''; }
+function confirmImport(){
+  if (!pendingImport) return;
+  const choices = {};
+  document.querySelectorAll('#importConflicts .import-conflict').forEach(row=>{ choices[row.dataset.name] = { action: row.querySelector('select').value, as: row.querySelector('input').value }; });
+  const json = pendingImport;
+  applySharedState(json, choices);
+  pendingImport = null;
+  document.getElementById('importPreview').hidden = true;
+  closePasteModal(); flashStatus(`Imported${droppedNote(json)}`);
 }
 
 function flashStatus(txt){
@@ -457,50 +1681,209 @@ function openAdjModal(){
   document.querySelector('#adjModal .tab[data-tab="editor"]').classList.add('active');
   document.querySelectorAll('#adjModal .tabpane').forEach(p=> p.classList.remove('active'));
   document.getElementById('editorTab').classList.add('active');
-  initEditorGrid();
+  if (customAdj[currentAdjacency]) loadEditorPattern(currentAdjacency);
+  else initEditorGrid();
 }
 function closeAdjModal(){ document.getElementById('adjModal').setAttribute('aria-hidden','true'); }
 function openPasteModal(){ document.getElementById('pasteModal').setAttribute('aria-hidden','false'); }
 function closePasteModal(){ document.getElementById('pasteModal').setAttribute('aria-hidden','true'); }
 
+// The editor works on a weight map keyed "dr,dc"; the DOM grid is redrawn from it whenever the radius changes.
+const editor = { radius:7, name:null, weights:new Map() };
+const EDITOR_MAX_RADIUS = 12;
+const EDITOR_PRESETS = {
+  knight: ()=> [[-2,-1],[-2,1],[-1,-2],[-1,2],[1,-2],[1,2],[2,-1],[2,1]],
+  ring:   (n)=> { const out=[]; for (let dr=-n;dr<=n;dr++) for (let dc=-n;dc<=n;dc++) if (Math.max(Math.abs(dr),Math.abs(dc)) === n) out.push([dr,dc]); return out; },
+  cross:  (n)=> { const out=[]; for (let k=1;k<=n;k++) out.push([-k,0],[k,0],[0,-k],[0,k]); return out; },
+  all8:   ()=> [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]],
+  edges4: ()=> [[-1,0],[1,0],[0,-1],[0,1]]
+};
+// Each brush lists the images of an offset; painting one cell paints all of them.
+const EDITOR_SYMMETRY = {
+  none:    (r,c)=> [[r,c]],
+  mirrorH: (r,c)=> [[r,c],[r,-c]],
+  mirrorV: (r,c)=> [[r,c],[-r,c]],
+  mirror4: (r,c)=> [[r,c],[r,-c],[-r,c],[-r,-c]],
+  rotate2: (r,c)=> [[r,c],[-r,-c]],
+  rotate4: (r,c)=> [[r,c],[c,-r],[-r,-c],[-c,r]],
+  full8:   (r,c)=> [[r,c],[c,-r],[-r,-c],[-c,r],[r,-c],[-r,c],[c,r],[-c,-r]]
+};
+
 function initEditorGrid(){
   const gridEl = document.getElementById('editorGrid');
   if (!gridEl) return;
   gridEl.innerHTML = '';
-  const size = 15;
-  for (let r=0;r<size;r++){
-    for (let c=0;c<size;c++){
+  const n = editor.radius, size = 2*n + 1;
+  gridEl.style.gridTemplateColumns = `repeat(${size}, auto)`;
+  for (let dr=-n;dr<=n;dr++){
+    for (let dc=-n;dc<=n;dc++){
       const cell = document.createElement('div');
       cell.className = 'editor-cell';
-      cell.dataset.r = r; cell.dataset.c = c;
-      if (r === Math.floor(size/2) && c === Math.floor(size/2)){ cell.classList.add('editor-centre'); cell.innerHTML = '💣'; cell.style.cursor='default'; cell.dataset.center = '1'; }
-      else cell.addEventListener('click', editorToggleCell);
+      cell.dataset.r = dr; cell.dataset.c = dc;
+      if (!dr && !dc){ cell.classList.add('editor-centre'); cell.innerHTML = '💣'; cell.style.cursor='default'; cell.dataset.center = '1'; }
+      else { paintEditorCell(cell, editor.weights.get(`${dr},${dc}`) || 0); cell.addEventListener('click', editorCycleCell); cell.addEventListener('contextmenu', editorCycleCell); }
       gridEl.appendChild(cell);
     }
   }
-  const clearBtn = document.getElementById('clearAdj');
-  const saveBtn = document.getElementById('saveAdj');
-  if (clearBtn) clearBtn.onclick = clearEditor;
-  if (saveBtn) saveBtn.onclick = saveEditorPattern;
+  const radiusInput = document.getElementById('editorRadius'); if (radiusInput) radiusInput.value = n;
+  const nameInput = document.getElementById('adjName'); if (nameInput && document.activeElement !== nameInput) nameInput.value = editor.name || '';
+  populateEditorPatterns();
+
+  const on = (id, fn)=>{ const el = document.getElementById(id); if (el) el.onclick = fn; };
+  on('clearAdj', clearEditor);
+  on('saveAdj', saveEditorPattern);
+  on('newAdj', ()=>{ editor.name = null; editor.weights = new Map(); initEditorGrid(); });
+  on('duplicateAdj', duplicateEditorPattern);
+  on('renameAdj', renameEditorPattern);
+  on('applyPreset', applyEditorPreset);
+  on('exportAdjLib', exportPatternLibrary);
+  const patternSel = document.getElementById('editorPattern');
+  if (patternSel) patternSel.onchange = ()=>{ if (patternSel.value) loadEditorPattern(patternSel.value); };
+  if (radiusInput) radiusInput.onchange = ()=>{ setEditorRadius(Number(radiusInput.value)); };
+}
+function populateEditorPatterns(){
+  const sel = document.getElementById('editorPattern');
+  if (!sel) return;
+  sel.innerHTML = '';
+  const blank = document.createElement('option'); blank.value = ''; blank.textContent = '(new pattern)'; sel.appendChild(blank);
+  for (const key of Object.keys(customAdj || {})){ const opt = document.createElement('option'); opt.value = key; opt.textContent = key; sel.appendChild(opt); }
+  sel.value = editor.name && customAdj[editor.name] ? editor.name : '';
+}
+function patternRadius(offsets){ return offsets.reduce((m,[dr,dc])=> Math.max(m, Math.abs(dr), Math.abs(dc)), 1); }
+function setEditorRadius(n){
+  editor.radius = Math.max(1, Math.min(EDITOR_MAX_RADIUS, Math.round(n) || 7));
+  for (const key of [...editor.weights.keys()]){ const [dr,dc] = key.split(',').map(Number); if (Math.abs(dr) > editor.radius || Math.abs(dc) > editor.radius) editor.weights.delete(key); }
+  initEditorGrid();
+}
+function setEditorOffsets(offsets){
+  editor.weights = new Map(offsets.map(([dr,dc,w=1])=> [`${dr},${dc}`, w]));
+  editor.radius = Math.min(EDITOR_MAX_RADIUS, Math.max(editor.radius, patternRadius(offsets)));
+  initEditorGrid();
+}
+function editorOffsets(){
+  return [...editor.weights].map(([key,w])=>{ const [dr,dc] = key.split(',').map(Number); return w === 1 ? [dr,dc] : [dr,dc,w]; });
+}
+function loadEditorPattern(name){
+  if (!customAdj[name]) return;
+  editor.name = name;
+  const nameInput = document.getElementById('adjName'); if (nameInput) nameInput.value = name;
+  setEditorOffsets(customAdj[name]);
 }
 
-function editorToggleCell(e){ const el = e.currentTarget; if (el.dataset.center) return; el.classList.toggle('on'); }
-function clearEditor(){ document.querySelectorAll('#editorGrid .editor-cell.on').forEach(x=> x.classList.remove('on')); }
+// Click steps a cell's weight forward through EDITOR_WEIGHTS, right-click steps back; 0 leaves it out of the pattern.
+const EDITOR_WEIGHTS = [0,1,2,3,-1,-2,-3];
+function editorCycleCell(e){
+  e.preventDefault();
+  const el = e.currentTarget; if (el.dataset.center) return;
+  const dr = Number(el.dataset.r), dc = Number(el.dataset.c);
+  const k = EDITOR_WEIGHTS.indexOf(editor.weights.get(`${dr},${dc}`) || 0), n = EDITOR_WEIGHTS.length;
+  const w = EDITOR_WEIGHTS[(k + (e.type === 'contextmenu' ? n-1 : 1)) % n];
+  const brush = EDITOR_SYMMETRY[(document.getElementById('editorSymmetry')||{}).value] || EDITOR_SYMMETRY.none;
+  for (const [r,c] of brush(dr,dc)){
+    if (w) editor.weights.set(`${r},${c}`, w); else editor.weights.delete(`${r},${c}`);
+    const target = document.querySelector(`#editorGrid .editor-cell[data-r="${r}"][data-c="${c}"]`);
+    if (target) paintEditorCell(target, w);
+  }
+}
+function paintEditorCell(el,w){
+  el.classList.toggle('on', w > 0); el.classList.toggle('neg', w < 0);
+  el.textContent = w === 0 || w === 1 ? '' : String(w);
+}
+function clearEditor(){ editor.weights = new Map(); initEditorGrid(); }
+function applyEditorPreset(){
+  const kind = (document.getElementById('editorPreset')||{}).value;
+  const n = Math.max(1, Math.min(EDITOR_MAX_RADIUS, Number((document.getElementById('presetSize')||{}).value) || 2));
+  if (EDITOR_PRESETS[kind]) setEditorOffsets(EDITOR_PRESETS[kind](n));
+}
+
+// Saving under the loaded pattern's name updates it in place; any other existing name asks before overwriting.
 function saveEditorPattern(){
-  const size = 15; const cx = Math.floor(size/2), cy = Math.floor(size/2);
-  const nodes = [];
-  document.querySelectorAll('#editorGrid .editor-cell.on').forEach(el=>{
-    const r = Number(el.dataset.r), c = Number(el.dataset.c);
-    nodes.push([r - cx, c - cy]);
-  });
+  const nodes = editorOffsets();
+  if (!nodes.length){ flashStatus('Pattern is empty'); return; }
   const nameInput = document.getElementById('adjName');
-  let name = (nameInput && nameInput.value && nameInput.value.trim()) || `custom_${Date.now()}`;
-  let i = 1; while (customAdj[name]){ name = `${name}_${i++}`; }
+  const name = (nameInput && nameInput.value && nameInput.value.trim()) || editor.name || `custom_${Date.now()}`;
+  if (isBuiltinAdjacency(name)){ flashStatus('That name is a built-in adjacency'); return; }
+  if (customAdj[name] && name !== editor.name && !confirm(`Replace the existing pattern "${name}"?`)) return;
   customAdj[name] = nodes;
+  editor.name = name;
+  patternChanged(name);
+  flashStatus('Saved');
+}
+function duplicateEditorPattern(){
+  const nodes = editorOffsets();
+  if (!nodes.length){ flashStatus('Pattern is empty'); return; }
+  const name = uniquePatternName(`${editor.name || 'custom'} copy`);
+  customAdj[name] = nodes;
+  editor.name = name;
+  populateCustomAdjToDropdown(); initEditorGrid(); saveAll();
+  const nameInput = document.getElementById('adjName'); if (nameInput) nameInput.value = name;
+  flashStatus(`Duplicated as "${name}"`);
+}
+function renameEditorPattern(){
+  const nameInput = document.getElementById('adjName');
+  const name = nameInput && nameInput.value.trim();
+  if (!editor.name || !customAdj[editor.name]){ flashStatus('Open a saved pattern to rename it'); return; }
+  if (!name || name === editor.name) return;
+  if (customAdj[name] || isBuiltinAdjacency(name)){ flashStatus(`"${name}" is already taken`); return; }
+  const old = editor.name;
+  customAdj[name] = customAdj[old]; delete customAdj[old];
+  editor.name = name;
+  if (currentAdjacency === old) currentAdjacency = name;
   populateCustomAdjToDropdown();
+  const sel = document.getElementById('adjacencySelect'); if (sel) sel.value = currentAdjacency;
+  initEditorGrid(); persistSettings(); saveAll();
+  flashStatus(`Renamed to "${name}"`);
+}
+function isBuiltinAdjacency(name){ return Object.prototype.hasOwnProperty.call(ADJ_LABELS, name); }
+function uniquePatternName(base){
+  let name = base, i = 2;
+  while (customAdj[name] || isBuiltinAdjacency(name)) name = `${base} ${i++}`;
+  return name;
+}
+// A pattern the running game uses is re-applied to it, so the numbers on the board follow the edit.
+function patternChanged(name){
+  populateCustomAdjToDropdown();
+  const sel = document.getElementById('adjacencySelect'); if (sel) sel.value = currentAdjacency;
+  initEditorGrid();
+  // Like switching the adjacency: the numbers, 3BV and any hint all follow the edited pattern (the odds key on it).
+  if (name === currentAdjacency && gameGrid && !firstClick){
+    computeCounts(gameGrid, activeAdj());
+    if (journal.mines) journal.metrics = placementMetrics(gameGrid);
+    clearHint(); renderBoard();
+  }
   saveAll();
-  flashStatus('Saved');
-  if (nameInput) nameInput.value = '';
+}
+
+function exportPatternLibrary(){
+  const blob = new Blob([JSON.stringify({ v:1, patterns: customAdj }, null, 2)], { type:'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob); a.download = 'polyweave-patterns.json';
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+}
+// Incoming patterns are added alongside the local ones; an identical pattern is skipped, a clashing name gets a suffix.
+function importPatternLibrary(text){
+  const incoming = JSON.parse(text);
+  if (!incoming || typeof incoming.patterns !== 'object') throw new Error('not a pattern library');
+  let added = 0;
+  for (const [name, offsets] of Object.entries(incoming.patterns)){
+    if (patternProblem(offsets)) continue;
+    if (customAdj[name] && JSON.stringify(customAdj[name]) === JSON.stringify(offsets)) continue;
+    customAdj[uniquePatternName(name)] = offsets; added++;
+  }
+  populateCustomAdjToDropdown(); initEditorGrid(); saveAll();
+  return added;
+}
+
+function populateTilingAdjToDropdown(){
+  const sel = document.getElementById('adjacencySelect');
+  if (!sel) return currentAdjacency;
+  const prev = sel.value;
+  const t = tilingOf(currentTiling);
+  Array.from(sel.querySelectorAll('option:not([data-custom="1"])')).forEach(o=> o.remove());
+  t.adj.slice().reverse().forEach(key=>{ const opt = document.createElement('option'); opt.value = key; opt.textContent = ADJ_LABELS[key]; sel.insertBefore(opt, sel.firstChild); });
+  sel.value = (t.adj.includes(prev) || (customAdj && customAdj[prev])) ? prev : t.adj[0];
+  return sel.value;
 }
 
 function populateCustomAdjToDropdown(){
@@ -515,35 +1898,463 @@ function populateCustomAdjToDropdown(){
   }
 }
 
-let previewGame = null;
+// The sandbox plays the pattern on the editor grid (or the selected adjacency if the editor is empty) on the current tiling.
+const preview = { grid:null, adj:null, mines:0, firstClick:true, over:false, links:null, board:null };
 function startPreview(){
-  const pr = Number(document.getElementById('previewRows').value || 9);
-  const pc = Number(document.getElementById('previewCols').value || 9);
-  const pm = Number(document.getElementById('previewMines').value || 10);
-  previewGame = createGrid(pr,pc);
-  placeMines(previewGame, pm, [Math.floor(pr/2), Math.floor(pc/2)]);
-  computeCounts(previewGame, document.getElementById('adjacencySelect').value);
-  renderPreview(previewGame, 'previewArea');
-}
-function renderPreview(grid, hostId){
-  const host = document.getElementById(hostId);
+  const pr = Math.max(3, Number(document.getElementById('previewRows').value || 9));
+  const pc = Math.max(3, Number(document.getElementById('previewCols').value || 9));
+  preview.mines = Math.max(1, Number(document.getElementById('previewMines').value || 10));
+  preview.grid = createGrid(pr,pc,currentTiling,null,currentTopology());
+  const drawn = editorOffsets();
+  preview.adj = drawn.length ? drawn : resolveAdjacency(document.getElementById('adjacencySelect').value, currentTiling);
+  preview.links = neighborIndexLists(preview.grid, preview.adj);
+  preview.firstClick = true; preview.over = false;
+  renderPreview(`${drawn.length ? (editor.name || 'Unsaved pattern') : document.getElementById('adjacencySelect').value} · first click is safe`);
+}
+function previewMove(move){
+  const g = preview.grid;
+  if (!g || preview.over) return;
+  if (preview.firstClick){
+    if (move.a !== 'reveal') return;
+    placeMines(g, preview.mines, [move.r,move.c], preview.adj);
+    preview.firstClick = false;
+  }
+  if (move.a === 'chord' && !canChord(g,move.r,move.c,preview.adj)) return;
+  const res = applyMove(g, move, preview.adj);
+  if (res.exploded){ preview.over = true; g.cells.forEach(cl=>{ if (cl.mine) cl.revealed = true; }); renderPreview('Boom — start again to retry'); }
+  else if (g.cells.every(cl=> cl.mine || cl.revealed)){ preview.over = true; renderPreview('Cleared'); }
+  else renderPreview(`${plural(mineIndices(g).length - g.cells.filter(cl=> cl.flagged).length,'mine')} left`);
+}
+function renderPreview(status){
+  const svg = document.getElementById('previewSvg');
+  if (!svg || !preview.grid) return;
+  preview.board = drawBoard(svg, preview.grid, false);
+  preview.board.overlay = makeSvg('g',{ style:'pointer-events:none' });
+  svg.appendChild(preview.board.overlay);
+  const statusEl = document.getElementById('previewStatus'); if (statusEl && status) statusEl.textContent = status;
+}
+// Filled cells are the ones the hovered cell counts; outlined cells are the ones whose number includes it.
+function showInfluence(i){
+  const b = preview.board; if (!b) return;
+  b.overlay.innerHTML = '';
+  if (i < 0) return;
+  const pts = j=> polyPoints(b.info.centers[j].pts);
+  for (const j of preview.links.nbrs[i]) b.overlay.appendChild(makeSvg('polygon',{ points:pts(j), fill:'rgba(124,231,255,0.35)', stroke:'none' }));
+  for (const j of preview.links.seenBy[i]) b.overlay.appendChild(makeSvg('polygon',{ points:pts(j), fill:'none', stroke:'#ffb86b', 'stroke-width':3, 'stroke-dasharray':'4 3' }));
+  b.overlay.appendChild(makeSvg('polygon',{ points:pts(i), fill:'none', stroke:'#ffffff', 'stroke-width':3 }));
+}
+function setupPreviewEvents(){
+  const svg = document.getElementById('previewSvg');
+  if (!svg) return;
+  const cellOf = e=>{ const i = e.target.getAttribute && e.target.getAttribute('data-i'); return i == null || !preview.grid ? -1 : Number(i); };
+  const at = i=> ({ r: Math.floor(i/preview.grid.cols), c: i%preview.grid.cols });
+  svg.addEventListener('click', e=>{ const i = cellOf(e); if (i < 0) return; previewMove({ a: preview.grid.cells[i].revealed ? 'chord' : 'reveal', ...at(i) }); showInfluence(i); });
+  svg.addEventListener('contextmenu', e=>{ const i = cellOf(e); if (i < 0) return; e.preventDefault(); previewMove({ a:'flag', ...at(i) }); showInfluence(i); });
+  svg.addEventListener('mouseover', e=> showInfluence(cellOf(e)));
+  svg.addEventListener('mouseleave', ()=> showInfluence(-1));
+}
+
+// The mask editor paints on a plain square grid of the board's rows × cols; drag to paint, starting cell sets the value.
+const maskDraft = { rows:0, cols:0, mask:[], paint:null };
+function openMaskEditor(){
+  const rows = Math.max(3, Number(document.getElementById('msRows').value) || 12), cols = Math.max(3, Number(document.getElementById('msCols').value) || 16);
+  const shape = currentShape();
+  Object.assign(maskDraft, { rows, cols, mask: boardMask(rows, cols, shape === 'custom' && !customMask ? 'rect' : shape) || new Array(rows*cols).fill(1) });
+  renderMaskEditor();
+  document.getElementById('maskModal').setAttribute('aria-hidden','false');
+}
+function closeMaskEditor(){
+  document.getElementById('maskModal').setAttribute('aria-hidden','true');
+  const shapeSel = document.getElementById('shapeSelect');
+  if (shapeSel && shapeSel.value === 'custom' && !customMask) shapeSel.value = 'rect';
+}
+function renderMaskEditor(){
+  const host = document.getElementById('maskGrid');
   if (!host) return;
   host.innerHTML = '';
-  const rows = grid.rows, cols = grid.cols;
-  const area = document.createElement('div');
-  area.style.display='grid';
-  area.style.gridTemplateColumns = `repeat(${cols},22px)`;
-  area.style.gap='4px';
-  for (let r=0;r<rows;r++){
-    for (let c=0;c<cols;c++){
-      const i = idx(rows,cols,r,c);
-      const el = document.createElement('div');
-      el.style.width='22px'; el.style.height='22px'; el.style.background='rgba(255,255,255,0.02)'; el.style.display='flex'; el.style.alignItems='center'; el.style.justifyContent='center';
-      if (r === Math.floor(rows/2) && c === Math.floor(cols/2) && grid.cells[i].mine) el.textContent='💣';
-      area.appendChild(el);
-    }
+  host.style.gridTemplateColumns = `repeat(${maskDraft.cols}, auto)`;
+  maskDraft.mask.forEach((v,i)=>{ const el = document.createElement('div'); el.className = 'mask-cell' + (v ? ' on' : ''); el.dataset.i = i; host.appendChild(el); });
+  updateMaskInfo();
+}
+function updateMaskInfo(){
+  const info = document.getElementById('maskInfo');
+  if (info) info.textContent = `${maskDraft.mask.filter(Boolean).length} of ${maskDraft.rows*maskDraft.cols} cells playable`;
+}
+function setupMaskPainting(){
+  const host = document.getElementById('maskGrid');
+  if (!host) return;
+  const paint = e=>{
+    const i = e.target.dataset && e.target.dataset.i; if (i == null || maskDraft.paint == null) return;
+    maskDraft.mask[Number(i)] = maskDraft.paint; e.target.classList.toggle('on', !!maskDraft.paint); updateMaskInfo();
+  };
+  host.addEventListener('pointerdown', e=>{ const i = e.target.dataset && e.target.dataset.i; if (i == null) return; e.preventDefault(); maskDraft.paint = maskDraft.mask[Number(i)] ? 0 : 1; paint(e); });
+  host.addEventListener('pointerover', paint);
+  window.addEventListener('pointerup', ()=>{ maskDraft.paint = null; });
+}
+function saveMaskDraft(){
+  if (maskDraft.mask.filter(Boolean).length < 2){ document.getElementById('maskInfo').textContent = 'Leave at least 2 playable cells'; return; }
+  customMask = { rows: maskDraft.rows, cols: maskDraft.cols, holes: maskDraft.mask.map((v,i)=> v ? -1 : i).filter(i=> i>=0) };
+  const shapeSel = document.getElementById('shapeSelect'); if (shapeSel) shapeSel.value = 'custom';
+  closeMaskEditor();
+  persistSettings(); startNewGame();
+}
+
+// A puzzle pack is { format, v, title, puzzles:[{ id, title, rows, cols, tiling, topology, holes, adjacency, pattern?,
+// mines, revealed }] } in play order; pattern carries a custom adjacency's offsets so packs work on other machines.
+// Puzzles start from their mines and revealed cells instead of a first click.
+const PUZZLE_FORMAT = 'polyweave-puzzles';
+const PUZZLE_MAX_CELLS = 2500;
+const puzzleDraft = { id:null, grid:null, picks:new Set(), odd:[], board:null };
+function puzzlePack(){ const pack = readStore(PUZZLES_KEY); return pack && Array.isArray(pack.puzzles) ? pack : { format:PUZZLE_FORMAT, v:1, title:'', puzzles:[] }; }
+function solvedPuzzles(){ const solved = readStore(SOLVED_KEY); return solved && typeof solved === 'object' ? solved : {}; }
+function markPuzzleSolved(id, ms){
+  const solved = solvedPuzzles(); const prev = solved[id];
+  solved[id] = { date: new Date().toISOString(), ms: prev && prev.ms < ms ? prev.ms : ms };
+  writeStore(SOLVED_KEY, solved);
+}
+function puzzleProblem(p){
+  const L = SHARE_LIMITS;
+  if (!p || typeof p !== 'object') return 'is not an object';
+  if (![p.rows,p.cols].every(n=> Number.isInteger(n) && n >= L.minSide && n <= L.maxSide) || p.rows * p.cols > PUZZLE_MAX_CELLS) return 'has an unsupported size';
+  if (!TILINGS[p.tiling]) return `has an unknown tiling "${p.tiling}"`;
+  if (p.topology && !TOPOLOGIES[p.topology]) return `has unknown edges "${p.topology}"`;
+  if (p.pattern ? patternProblem(p.pattern) : !tilingOf(p.tiling).adj.includes(p.adjacency)) return 'has an adjacency its tiling does not support';
+  const n = p.rows * p.cols, cells = a=> Array.isArray(a) && a.every(i=> Number.isInteger(i) && i >= 0 && i < n);
+  if (!cells(p.mines) || !cells(p.revealed) || (p.holes != null && !cells(p.holes))) return 'lists cells outside the board';
+  const mines = new Set(p.mines), holes = new Set(p.holes || []);
+  if (mines.size !== p.mines.length || p.mines.some(i=> holes.has(i))) return 'lists a mine twice or outside the shape';
+  if (p.revealed.some(i=> mines.has(i) || holes.has(i))) return 'starts with a mine or cut-out cell revealed';
+  return null;
+}
+// A pack's custom pattern joins the local library under its name, or a fresh one if that name means something else here.
+function adoptPuzzlePattern(p){
+  if (!p.pattern) return p.adjacency;
+  const same = name=> customAdj[name] && JSON.stringify(customAdj[name]) === JSON.stringify(p.pattern);
+  const known = [p.adjacency, ...Object.keys(customAdj)].find(same);
+  if (known) return known;
+  const name = uniquePatternName(String(p.adjacency || 'Puzzle pattern'));
+  customAdj[name] = p.pattern; populateCustomAdjToDropdown(); writeStore(CUSTOM_KEY, customAdj);
+  return name;
+}
+function playPuzzle(id){
+  const pack = puzzlePack(); const k = pack.puzzles.findIndex(x=> x.id === id); const p = pack.puzzles[k];
+  if (!p || puzzleProblem(p)){ flashStatus('That puzzle is missing or invalid'); return; }
+  stashUnfinished();
+  const holes = p.holes || [];
+  isLoading = true;
+  try{
+    stopTimer(); clearHint();
+    applySettings({ ...currentSettings(), rows:p.rows, cols:p.cols, mines:p.mines.length, seed:'', tiling:p.tiling, adjacency: adoptPuzzlePattern(p),
+      shape: holes.length ? 'custom' : 'rect', customMask: holes.length ? { rows:p.rows, cols:p.cols, holes } : customMask, topology: p.topology || 'plain', mode:{ kind:'classic', n:0 } });
+  }finally{ isLoading = false; }
+  currentSlot = null; currentPuzzle = p.id;
+  gameMode = currentMode(); resetTimer();
+  gameGrid = applyModeToGrid(createGrid(p.rows,p.cols,currentTiling,maskFromHoles(p.rows,p.cols,holes),p.topology || 'plain'));
+  fillCells(gameGrid, { mines:p.mines });
+  computeCounts(gameGrid, activeAdj());
+  for (const i of p.revealed) revealCell(gameGrid, Math.floor(i/p.cols), i%p.cols, activeAdj());
+  running = true; firstClick = false; hintsUsed = 0; gameSeed = ''; seedMissed = false;
+  journal = journalFromGrid(gameGrid);
+  const overlay = document.getElementById('winOverlay'); if (overlay) overlay.style.display = 'none';
+  document.getElementById('msStatus').textContent = `Puzzle ${k+1} of ${pack.puzzles.length}: ${p.title}`;
+  saveAll(); renderBoard(); closePuzzles();
+  emitGameEvent('new-game', { source: 'puzzle', puzzle: p.id });
+}
+function playNextPuzzle(){
+  const solved = solvedPuzzles(); const next = puzzlePack().puzzles.find(p=> !solved[p.id]);
+  if (next) playPuzzle(next.id); else flashStatus('Every puzzle in the pack is solved');
+}
+function movePuzzle(id, step){
+  const pack = puzzlePack(); const k = pack.puzzles.findIndex(x=> x.id === id);
+  if (k < 0 || k + step < 0 || k + step >= pack.puzzles.length) return;
+  pack.puzzles.splice(k + step, 0, ...pack.puzzles.splice(k, 1));
+  writeStore(PUZZLES_KEY, pack); renderPuzzleList();
+}
+function deletePuzzle(id){
+  const pack = puzzlePack(); const p = pack.puzzles.find(x=> x.id === id);
+  if (!p || !confirm(`Delete puzzle "${p.title}"? This cannot be undone.`)) return;
+  pack.puzzles = pack.puzzles.filter(x=> x !== p);
+  writeStore(PUZZLES_KEY, pack);
+  if (puzzleDraft.id === id) puzzleDraft.id = null;
+  renderPuzzleList();
+}
+function exportPuzzlePack(){
+  const pack = puzzlePack();
+  const blob = new Blob([JSON.stringify({ format:PUZZLE_FORMAT, v:1, title: pack.title, puzzles: pack.puzzles }, null, 2)], { type:'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob); a.download = 'polyweave-puzzles.json';
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+}
+// An imported pack replaces the local one (after asking, if there is one); invalid puzzles are dropped.
+function importPuzzlePack(text){
+  const incoming = JSON.parse(text);
+  if (!incoming || incoming.format !== PUZZLE_FORMAT || !Array.isArray(incoming.puzzles)) throw new Error('not a puzzle pack');
+  const local = puzzlePack();
+  if (local.puzzles.length && !confirm(`Replace your ${plural(local.puzzles.length,'puzzle')} with the imported pack${incoming.title ? ` "${incoming.title}"` : ''}?`)) return null;
+  const ids = new Set();
+  const puzzles = incoming.puzzles.filter(p=> !puzzleProblem(p)).map((p,k)=>{
+    const id = typeof p.id === 'string' && p.id && !ids.has(p.id) ? p.id : newSlotId() + k;
+    ids.add(id);
+    return { ...p, id, title: String(p.title || `Puzzle ${k+1}`) };
+  });
+  writeStore(PUZZLES_KEY, { format:PUZZLE_FORMAT, v:1, title: String(incoming.title || ''), puzzles });
+  renderPuzzleList();
+  return { added: puzzles.length, skipped: incoming.puzzles.length - puzzles.length };
+}
+
+function openPuzzles(){ document.getElementById('puzzleModal').setAttribute('aria-hidden','false'); renderPuzzleList(); }
+function closePuzzles(){ const m = document.getElementById('puzzleModal'); if (m) m.setAttribute('aria-hidden','true'); }
+function showPuzzleTab(tab){
+  document.querySelectorAll('#puzzleModal .tab').forEach(t=> t.classList.toggle('active', t.dataset.tab === tab));
+  document.querySelectorAll('#puzzleModal .tabpane').forEach(p=> p.classList.toggle('active', p.id === tab + 'Tab'));
+  if (tab === 'author' && !puzzleDraft.grid) newPuzzleDraft();
+}
+function renderPuzzleList(){
+  const body = document.getElementById('puzzlesBody'); if (!body) return;
+  const pack = puzzlePack(), solved = solvedPuzzles();
+  const title = document.getElementById('packTitle'); if (title) title.value = pack.title || '';
+  body.innerHTML = '';
+  if (!pack.puzzles.length){ const tr = document.createElement('tr'); const td = document.createElement('td'); td.colSpan = 7; td.textContent = 'No puzzles yet. Make one in the Editor tab or import a pack.'; tr.appendChild(td); body.appendChild(tr); }
+  pack.puzzles.forEach((p,k)=>{
+    const tr = document.createElement('tr');
+    if (p.id === currentPuzzle) tr.classList.add('selected');
+    const board = `${tilingOf(p.tiling).label} ${p.rows}×${p.cols}${p.holes && p.holes.length ? ' shaped' : ''}${p.topology && p.topology !== 'plain' ? ` ${TOPOLOGIES[p.topology].toLowerCase()}` : ''}`;
+    const cols = [k+1, p.title, board, ADJ_LABELS[p.adjacency] || p.adjacency, p.mines.length, solved[p.id] ? `✓ ${formatMs(solved[p.id].ms)}` : ''];
+    for (const v of cols){ const td = document.createElement('td'); td.textContent = String(v); tr.appendChild(td); }
+    const td = document.createElement('td'); td.className = 'slot-actions';
+    [['Play', playPuzzle], ['Edit', editPuzzle], ['↑', id=> movePuzzle(id,-1), k === 0], ['↓', id=> movePuzzle(id,1), k === pack.puzzles.length - 1], ['Delete', deletePuzzle]].forEach(([text, fn, off])=>{
+      const b = document.createElement('button'); b.className = 'ms-btn'; b.textContent = text; b.disabled = !!off;
+      b.setAttribute('aria-label', `${text === '↑' ? 'Move up' : text === '↓' ? 'Move down' : text} ${p.title}`);
+      b.addEventListener('click', ()=>{ fn(p.id); }); td.appendChild(b);
+    });
+    tr.appendChild(td); body.appendChild(tr);
+  });
+}
+
+// The editor starts from the board settings in the toolbar. Clicks place mines or pick revealed cells; the picks are
+// revealed as in play, so a zero opens its surroundings.
+function populatePuzzleAdj(tiling, value){
+  const sel = document.getElementById('puzzleAdj'); if (!sel) return;
+  sel.innerHTML = '';
+  for (const key of [...tilingOf(tiling).adj, ...Object.keys(customAdj || {})]){ const opt = document.createElement('option'); opt.value = key; opt.textContent = ADJ_LABELS[key] || key; sel.appendChild(opt); }
+  sel.value = value; if (sel.value !== value) sel.value = defaultAdjacency(tiling);
+}
+function draftAdjacency(){ return resolveAdjacency((document.getElementById('puzzleAdj')||{}).value, puzzleDraft.grid.tiling); }
+function newPuzzleDraft(){
+  const rows = Math.max(3, Number(document.getElementById('msRows').value) || 12), cols = Math.max(3, Number(document.getElementById('msCols').value) || 16);
+  if (rows * cols > PUZZLE_MAX_CELLS){ renderPuzzleDraft(`Puzzles are limited to ${PUZZLE_MAX_CELLS} cells; make the board smaller first`); return; }
+  const tiling = (document.getElementById('tilingSelect')||{}).value || 'square';
+  let mask = boardMask(rows, cols); if (mask && mask.filter(Boolean).length < 2) mask = null;
+  Object.assign(puzzleDraft, { id:null, grid: createGrid(rows, cols, tiling, mask, currentTopology()), picks:new Set(), odd:[] });
+  populatePuzzleAdj(tiling, (document.getElementById('adjacencySelect')||{}).value);
+  const title = document.getElementById('puzzleTitle'); if (title) title.value = '';
+  renderPuzzleDraft('Place the mines, then switch to choosing revealed cells');
+}
+function editPuzzle(id){
+  const p = puzzlePack().puzzles.find(x=> x.id === id); if (!p) return;
+  Object.assign(puzzleDraft, { id:p.id, grid: createGrid(p.rows,p.cols,p.tiling,maskFromHoles(p.rows,p.cols,p.holes || []),p.topology || 'plain'), picks:new Set(p.revealed), odd:[] });
+  fillCells(puzzleDraft.grid, { mines:p.mines });
+  populatePuzzleAdj(p.tiling, adoptPuzzlePattern(p));
+  document.getElementById('puzzleTitle').value = p.title;
+  showPuzzleTab('author');
+  renderPuzzleDraft(`Editing "${p.title}"`);
+}
+function toggleDraftCell(i){
+  const cl = puzzleDraft.grid.cells[i];
+  const tool = (document.getElementById('puzzleTool')||{}).value || 'mine';
+  if (tool === 'mine'){ if (cl.mine){ cl.mine = false; delete cl.mines; } else addMine(cl); puzzleDraft.picks.delete(i); }
+  else if (cl.mine){ renderPuzzleDraft('A mine cannot start revealed'); return; }
+  else if (!puzzleDraft.picks.delete(i)) puzzleDraft.picks.add(i);
+  puzzleDraft.odd = [];
+  renderPuzzleDraft();
+}
+function renderPuzzleDraft(status){
+  const info = document.getElementById('puzzleInfo'), svg = document.getElementById('puzzleSvg');
+  const g = puzzleDraft.grid;
+  if (!g || !svg){ if (info && status) info.textContent = status; return; }
+  const adj = draftAdjacency();
+  g.cells.forEach(cl=>{ cl.revealed = false; });
+  computeCounts(g, adj);
+  for (const i of puzzleDraft.picks) revealCell(g, Math.floor(i/g.cols), i%g.cols, adj);
+  const b = puzzleDraft.board = drawBoard(svg, g, false);
+  for (const i of mineIndices(g)){ b.polys[i].setAttribute('fill', palette.mine); b.labels[i].textContent = '💣'; b.labels[i].setAttribute('fill', '#fff'); }
+  const layer = makeSvg('g',{ style:'pointer-events:none' });
+  for (const i of puzzleDraft.picks) layer.appendChild(makeSvg('polygon',{ points: polyPoints(b.info.centers[i].pts), fill:'none', stroke:'#ffffff', 'stroke-width':2.5 }));
+  for (const i of puzzleDraft.odd) layer.appendChild(makeSvg('polygon',{ points: polyPoints(b.info.centers[i].pts), fill:'none', stroke:'#ffb86b', 'stroke-width':3, 'stroke-dasharray':'4 3' }));
+  svg.appendChild(layer);
+  if (info) info.textContent = status || `${plural(mineIndices(g).length,'mine')} · ${plural(puzzleDraft.picks.size,'revealed cell')} · not checked yet`;
+}
+function checkPuzzleDraft(){
+  const g = puzzleDraft.grid;
+  if (!g) return { ok:false, text:'Start a puzzle first' };
+  if (!mineIndices(g).length) return { ok:false, text:'Place at least one mine' };
+  if (!puzzleDraft.picks.size) return { ok:false, text:'Choose at least one revealed cell' };
+  const odd = puzzleAmbiguity(g, draftAdjacency());
+  puzzleDraft.odd = odd || [];
+  if (!odd) return { ok:false, text:'Too many open possibilities to check; reveal more cells or use a smaller board' };
+  if (odd.length) return { ok:false, text:`More than one solution: ${plural(odd.length,'cell')} (outlined) can't be worked out without guessing` };
+  return { ok:true, text:'One solution: the puzzle can be cleared without guessing' };
+}
+function savePuzzleDraft(){
+  const res = checkPuzzleDraft();
+  renderPuzzleDraft(res.text);
+  if (!res.ok) return;
+  const g = puzzleDraft.grid, pack = puzzlePack(), name = document.getElementById('puzzleAdj').value;
+  const p = {
+    id: puzzleDraft.id || newSlotId(), title: document.getElementById('puzzleTitle').value.trim() || `Puzzle ${pack.puzzles.length + 1}`,
+    rows: g.rows, cols: g.cols, tiling: g.tiling, topology: g.topology || 'plain', holes: holesOf(g), adjacency: name,
+    ...(isBuiltinAdjacency(name) ? {} : { pattern: customAdj[name] }),
+    mines: mineIndices(g), revealed: [...puzzleDraft.picks].sort((a,b)=> a-b)
+  };
+  const k = pack.puzzles.findIndex(x=> x.id === p.id);
+  if (k >= 0) pack.puzzles[k] = p; else pack.puzzles.push(p);
+  if (!writeStore(PUZZLES_KEY, pack)) return;
+  puzzleDraft.id = p.id;
+  renderPuzzleList();
+  renderPuzzleDraft(`Saved "${p.title}" as puzzle ${(k >= 0 ? k : pack.puzzles.length - 1) + 1} of ${pack.puzzles.length}`);
+}
+function setupPuzzleEditor(){
+  const svg = document.getElementById('puzzleSvg');
+  if (!svg) return;
+  svg.addEventListener('click', e=>{ const i = e.target.getAttribute && e.target.getAttribute('data-i'); if (i != null && puzzleDraft.grid) toggleDraftCell(Number(i)); });
+}
+
+// Custom themes are listed in themeSelect as "custom:<name>" and applied as inline CSS variables on <body>.
+const THEME_COLORS = ['accent','bg','cell','revealed','flagged','mine'];
+const THEME_VARS = ['--bg-0','--panel','--accent','--text','--sub','--muted','--select-bg','--select-text','--cell','--cell-revealed','--cell-flagged','--cell-mine'];
+let themeDraft = null;
+function parseColor(c){
+  const s = String(c || '').trim(); let m;
+  if ((m = /^#([0-9a-f]{3})$/i.exec(s))) return [...m[1]].map(h=> parseInt(h+h,16));
+  if ((m = /^#([0-9a-f]{6})$/i.exec(s))) return [0,2,4].map(k=> parseInt(m[1].slice(k,k+2),16));
+  if ((m = /^rgba?\(([^)]+)\)$/i.exec(s))) return m[1].split(',').slice(0,3).map(v=> Math.round(Number(v.trim())) || 0);
+  return [0,0,0];
+}
+function toHex(rgb){ return '#' + rgb.map(v=> Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2,'0')).join(''); }
+function mixColors(a,b,t){ const x = parseColor(a), y = parseColor(b); return toHex(x.map((v,k)=> v + (y[k]-v)*t)); }
+function mixStops(stops,t){ const p = t*(stops.length-1), k = Math.min(stops.length-2, Math.floor(p)); return mixColors(stops[k], stops[k+1], p-k); }
+function luminance(c){ const [r,g,b] = parseColor(c); return (0.2126*r + 0.7152*g + 0.0722*b) / 255; }
+function numberColor(n, p=palette){
+  const scale = NUMBER_SCALES[p.scale] || NUMBER_SCALES.classic; const fixed = scale.fixed || [];
+  if (n <= fixed.length) return fixed[n-1];
+  const t = Math.min(1, Math.log(n - fixed.length) / Math.log(NUMBER_SCALE_TOP - fixed.length));
+  return mixStops(scale.stops || [p.low, p.high], t);
+}
+function paletteOf(theme){ return { cell:theme.cell, revealed:theme.revealed, flagged:theme.flagged, mine:theme.mine, scale:theme.scale, low:theme.low, high:theme.high }; }
+// The rest of the page colors follow from the background, so a custom theme only picks the six colors the board needs.
+function themeVars(t){
+  const light = luminance(t.bg) > 0.5, ink = light ? '#000000' : '#ffffff', text = light ? '#0b1220' : '#e6eef8';
+  return { '--bg-0':t.bg, '--panel':`linear-gradient(180deg,${mixColors(t.bg,ink,0.06)},${t.bg})`, '--accent':t.accent, '--text':text, '--sub': light ? '#334155' : '#a9bccf',
+    '--muted': light ? 'rgba(0,0,0,0.06)' : 'rgba(255,255,255,0.06)', '--select-bg':mixColors(t.bg,ink,0.08), '--select-text':text,
+    '--cell':t.cell, '--cell-revealed':t.revealed, '--cell-flagged':t.flagged, '--cell-mine':t.mine };
+}
+function applyTheme(value){
+  const sel = document.getElementById('themeSelect');
+  if (sel){ sel.value = value; if (sel.value !== value) sel.value = 'dark-ocean'; value = sel.value; }
+  const custom = value.startsWith('custom:') ? customThemes[value.slice(7)] : null;
+  document.body.setAttribute('data-theme', custom ? 'custom' : value);
+  THEME_VARS.forEach(k=> document.body.style.removeProperty(k));
+  if (custom){ for (const [k,v] of Object.entries(themeVars(custom))) document.body.style.setProperty(k, v); palette = paletteOf(custom); return; }
+  const css = getComputedStyle(document.body); const v = (name, fallback)=> css.getPropertyValue(name).trim() || fallback;
+  palette = { ...DEFAULT_PALETTE, cell: v('--cell', DEFAULT_PALETTE.cell), revealed: v('--cell-revealed', DEFAULT_PALETTE.revealed), flagged: v('--cell-flagged', DEFAULT_PALETTE.flagged), mine: v('--cell-mine', DEFAULT_PALETTE.mine) };
+}
+function populateThemeSelect(){
+  const sel = document.getElementById('themeSelect'); if (!sel) return;
+  const value = sel.value;
+  const old = sel.querySelector('optgroup[data-custom]'); if (old) old.remove();
+  const names = Object.keys(customThemes).sort();
+  if (names.length){
+    const group = document.createElement('optgroup'); group.label = 'Custom'; group.dataset.custom = '1';
+    names.forEach(name=>{ const o = document.createElement('option'); o.value = `custom:${name}`; o.textContent = name; group.appendChild(o); });
+    sel.appendChild(group);
+  }
+  sel.value = value; if (sel.value !== value) sel.value = 'dark-ocean';
+}
+function openThemeEditor(){
+  const value = (document.getElementById('themeSelect')||{}).value || 'dark-ocean';
+  const name = value.startsWith('custom:') ? value.slice(7) : '';
+  const css = getComputedStyle(document.body);
+  themeDraft = name && customThemes[name] ? { ...customThemes[name] } : {
+    accent: toHex(parseColor(css.getPropertyValue('--accent') || '#0ea5b3')), bg: toHex(parseColor(css.getPropertyValue('--bg-0') || '#021017')),
+    cell: toHex(parseColor(palette.cell)), revealed: toHex(parseColor(palette.revealed)), flagged: toHex(parseColor(palette.flagged)), mine: toHex(parseColor(palette.mine)),
+    scale: palette.scale, low: palette.low, high: palette.high
+  };
+  document.getElementById('themeName').value = name;
+  document.querySelectorAll('#themeModal [data-key]').forEach(el=>{ el.value = themeDraft[el.dataset.key]; });
+  document.getElementById('deleteTheme').disabled = !name;
+  document.getElementById('themeModal').setAttribute('aria-hidden','false');
+  renderThemePreview();
+}
+function closeThemeEditor(){ document.getElementById('themeModal').setAttribute('aria-hidden','true'); }
+function renderThemePreview(){
+  const host = document.getElementById('themePreview'); if (!host || !themeDraft) return;
+  const grad = document.getElementById('themeGradient'); if (grad) grad.hidden = themeDraft.scale !== 'custom';
+  host.innerHTML = ''; host.style.background = themeDraft.bg;
+  const p = paletteOf(themeDraft);
+  const swatch = (bg, text, color)=>{ const el = document.createElement('span'); el.className = 'theme-swatch'; el.style.background = bg; el.style.color = color; el.textContent = text; host.appendChild(el); };
+  swatch(p.cell, '', ''); swatch(p.flagged, '🚩', '#ffb86b'); swatch(p.mine, '💣', '#fff');
+  [1,2,3,4,5,6,7,8,9,10,12,16,24,32,48,64,96,128,224].forEach(n=> swatch(p.revealed, String(n), numberColor(n, p)));
+  const accent = document.createElement('span'); accent.className = 'theme-swatch wide'; accent.style.background = themeDraft.accent; accent.style.color = themeDraft.bg; accent.textContent = 'Accent'; host.appendChild(accent);
+}
+function saveThemeDraft(){
+  const name = document.getElementById('themeName').value.trim();
+  if (!name){ alert('Give the theme a name first.'); return; }
+  if (customThemes[name] && !confirm(`Replace the theme "${name}"?`)) return;
+  customThemes[name] = { ...themeDraft };
+  if (!writeStore(THEMES_KEY, customThemes)) return;
+  populateThemeSelect(); applyTheme(`custom:${name}`);
+  document.getElementById('deleteTheme').disabled = false;
+  persistSettings(); saveAll(); renderBoard(); flashStatus(`Theme "${name}" saved`);
+}
+function deleteCustomTheme(){
+  const name = document.getElementById('themeName').value.trim();
+  if (!customThemes[name] || !confirm(`Delete the theme "${name}"?`)) return;
+  delete customThemes[name];
+  writeStore(THEMES_KEY, customThemes);
+  const current = (document.getElementById('themeSelect')||{}).value;
+  populateThemeSelect(); applyTheme(current === `custom:${name}` ? 'dark-ocean' : current);
+  document.getElementById('deleteTheme').disabled = true;
+  persistSettings(); saveAll(); renderBoard();
+}
+
+const replay = { journal:null, rows:0, cols:0, tiling:'square', mask:null, topology:'plain', perCell:1, mode:null, step:0, timer:null };
+function openReplay(){
+  if (!gameGrid || !journal.moves.length) return;
+  replay.journal = JSON.parse(JSON.stringify(journal));
+  replay.rows = gameGrid.rows; replay.cols = gameGrid.cols; replay.tiling = gameGrid.tiling; replay.mask = gameGrid.mask; replay.topology = gameGrid.topology; replay.perCell = gameGrid.perCell; replay.mode = gameMode;
+  document.getElementById('replayModal').setAttribute('aria-hidden','false');
+  replaySeek(0);
+}
+function closeReplay(){ replayStop(); document.getElementById('replayModal').setAttribute('aria-hidden','true'); }
+function replaySeek(step){
+  const moves = replay.journal.moves;
+  replay.step = Math.max(0, Math.min(moves.length, step));
+  const { grid, exploded } = journalGrid(replay.journal, replay, replay.step);
+  if (exploded && outOfLives(grid, replay.mode)) grid.cells.forEach(cl=>{ if (cl.mine) cl.revealed = true; });
+  drawBoard(document.getElementById('replaySvg'), grid, false);
+  const pos = document.getElementById('replayPos');
+  if (pos){
+    const m = moves[replay.step - 1];
+    pos.textContent = m ? `Move ${replay.step} / ${moves.length} · ${m.a} ${cellName(grid, idx(replay.rows,replay.cols,m.r,m.c))} · +${((m.t - moves[0].t)/1000).toFixed(1)}s` : `Start · ${moves.length} moves`;
   }
-  host.appendChild(area);
+}
+function replayStop(){
+  if (replay.timer){ clearTimeout(replay.timer); replay.timer = null; }
+  const b = document.getElementById('replayPlay'); if (b) b.textContent = '▶ Play';
+}
+function replayToggle(){
+  if (replay.timer){ replayStop(); return; }
+  if (replay.step >= replay.journal.moves.length) replaySeek(0);
+  const b = document.getElementById('replayPlay'); if (b) b.textContent = '❚❚ Pause';
+  const tick = ()=>{
+    const moves = replay.journal.moves;
+    if (replay.step >= moves.length){ replayStop(); return; }
+    const speed = Number((document.getElementById('replaySpeed')||{value:1}).value) || 1;
+    const gap = replay.step > 0 ? moves[replay.step].t - moves[replay.step-1].t : 400;
+    replay.timer = setTimeout(()=>{ replaySeek(replay.step + 1); tick(); }, Math.min(2000, Math.max(60, gap)) / speed);
+  };
+  tick();
 }
 
 function setupZoomPan(){
@@ -551,7 +2362,7 @@ function setupZoomPan(){
   const container = document.getElementById('minefieldContainer');
   if (!frame || !container) return;
   view.scale = 0.6; view.tx = 0; view.ty = 0;
-  renderBoard();
+  applyView();
 
   let dragging=false, maybeDrag=null; const DRAG_THRESHOLD=6;
   frame.addEventListener('pointerdown', (e)=>{ if (e.pointerType==='mouse' && e.button !== 0) return; maybeDrag = {pointerId:e.pointerId, startX:e.clientX, startY:e.clientY, startTx:view.tx, startTy:view.ty}; });
@@ -563,7 +2374,7 @@ function setupZoomPan(){
     }
     if (dragging && maybeDrag && maybeDrag.pointerId === e.pointerId){
       const dx = e.clientX - maybeDrag.startX, dy = e.clientY - maybeDrag.startY;
-      view.tx = maybeDrag.startTx + dx; view.ty = maybeDrag.startTy + dy; renderBoard();
+      view.tx = maybeDrag.startTx + dx; view.ty = maybeDrag.startTy + dy; applyView();
     }
   });
   function endPointer(e){ if (maybeDrag && maybeDrag.pointerId === e.pointerId){ dragging=false; maybeDrag=null; frame.releasePointerCapture && frame.releasePointerCapture(e.pointerId); } }
@@ -572,29 +2383,185 @@ function setupZoomPan(){
   const pointers = new Map();
   function dist(a,b){ const dx=b.clientX - a.clientX, dy = b.clientY - a.clientY; return Math.hypot(dx,dy); }
   frame.addEventListener('pointerdown', e=> pointers.set(e.pointerId,e));
-  frame.addEventListener('pointermove', e=>{ if (!pointers.has(e.pointerId)) return; pointers.set(e.pointerId,e); if (pointers.size===2){ const it = pointers.values(); const a = it.next().value, b = it.next().value; const d = dist(a,b); if (frame._lastD==null) frame._lastD = d; const ratio = d / frame._lastD; frame._lastD = d; view.scale = Math.max(0.1, Math.min(6, view.scale * ratio)); renderBoard(); }});
+  frame.addEventListener('pointermove', e=>{ if (!pointers.has(e.pointerId)) return; pointers.set(e.pointerId,e); if (pointers.size===2){ const it = pointers.values(); const a = it.next().value, b = it.next().value; const d = dist(a,b); if (frame._lastD==null) frame._lastD = d; const ratio = d / frame._lastD; frame._lastD = d; view.scale = Math.max(0.1, Math.min(6, view.scale * ratio)); applyView(); }});
   function clearPointer(e){ pointers.delete(e.pointerId); frame._lastD = null; }
   frame.addEventListener('pointerup', clearPointer); frame.addEventListener('pointercancel', clearPointer); frame.addEventListener('pointerout', clearPointer); frame.addEventListener('pointerleave', clearPointer);
 
-  frame.addEventListener('wheel', (e)=>{ if (Math.abs(e.deltaY) > Math.abs(e.deltaX)){ const delta = -e.deltaY; const factor = 1 + Math.sign(delta) * Math.min(0.14, Math.abs(delta)/600); view.scale = Math.max(0.1, Math.min(6, view.scale * factor)); e.preventDefault(); renderBoard(); return; } }, { passive:false });
+  frame.addEventListener('wheel', (e)=>{ if (Math.abs(e.deltaY) > Math.abs(e.deltaX)){ const delta = -e.deltaY; const factor = 1 + Math.sign(delta) * Math.min(0.14, Math.abs(delta)/600); view.scale = Math.max(0.1, Math.min(6, view.scale * factor)); e.preventDefault(); applyView(); return; } }, { passive:false });
+
+  frame.addEventListener('keydown', (e)=>{ if (e.key === '+' || e.key === '='){ view.scale = Math.min(6, view.scale * 1.12); applyView(); } if (e.key === '-' || e.key === '_'){ view.scale = Math.max(0.1, view.scale / 1.12); applyView(); } if (e.key === '0'){ view.scale = 1; view.tx=0; view.ty=0; applyView(); } });
+}
+
+// Export SVG writes a standalone file: colors are read out of the theme instead of CSS variables and the text carries
+// its own font. The print sheet is dark on white, with the adjacency pattern beside the board for solving on paper.
+const EXPORT_NAMES = { state:'board', solution:'solution', blank:'puzzle' };
+const PRINT_LOOK = { palette:{ ...DEFAULT_PALETTE, cell:'#ffffff', revealed:'#e8ecf0', flagged:'#ffe2cc', mine:'#f5c2ba' }, stroke:'#333333', bg:'#ffffff', ink:'#111111' };
+function themeLook(){
+  const css = getComputedStyle(document.body); const v = (name, fallback)=> css.getPropertyValue(name).trim() || fallback;
+  return { palette, stroke: v('--accent', '#0ea5b3'), bg: v('--bg-0', '#021017'), ink: null };
+}
+// The grid to draw: as it stands, with everything revealed, or with only the numbers the game was given (a puzzle's
+// starting cells, a seeded opening; for other games whatever is open now) and no flags.
+function exportGrid(kind){
+  if (kind === 'state') return gameGrid;
+  if (firstClick) return null;
+  const given = kind === 'blank' && journal.base ? new Set(journal.base.revealed) : null;
+  const grid = createGrid(gameGrid.rows, gameGrid.cols, gameGrid.tiling, gameGrid.mask, gameGrid.topology);
+  grid.perCell = gameGrid.perCell;
+  grid.cells = gameGrid.cells.map((cl,i)=> ({ ...cl, flagged:false, flags:0, revealed: kind === 'solution' || (!cl.mine && (given ? given.has(i) : cl.revealed)) }));
+  return grid;
+}
+// drawBoard's output with the accent and label colors written in and the page-only attributes dropped.
+function exportBoardLayer(grid, look){
+  const svg = makeSvg('svg'); const { info } = drawBoard(svg, grid, false, look.palette);
+  const g = makeSvg('g');
+  while (svg.firstChild) g.appendChild(svg.firstChild);
+  g.querySelectorAll('[stroke="var(--accent)"]').forEach(el=> el.setAttribute('stroke', look.stroke));
+  g.querySelectorAll('[style], [data-i]').forEach(el=>{ el.removeAttribute('style'); el.removeAttribute('data-i'); });
+  g.querySelectorAll('text').forEach(t=>{ if (!t.textContent) t.remove(); else if (look.ink) t.setAttribute('fill', look.ink); });
+  return { g, w: info.w, h: info.h };
+}
+// One cell of the pattern on its own tiling: the cell is filled in, the cells its number counts are shaded and any
+// weight other than 1 is written on them.
+function patternDiagram(tiling, adj, look){
+  const reach = [[0,0],[0,1],[1,0],[1,1]].flatMap(([r,c])=> cellOffsets(r,c,adj,tiling).map(([dr,dc])=> Math.max(Math.abs(dr), Math.abs(dc))));
+  const R = Math.max(1, ...reach), grid = createGrid(2*R+1, 2*R+1, tiling), middle = idx(grid.rows,grid.cols,R,R);
+  const counted = new Map(neighborCells(grid,R,R,adj).map(([r,c,w])=> [idx(grid.rows,grid.cols,r,c), w]));
+  const info = boardGeometry(grid), g = makeSvg('g'), shade = mixColors(look.bg, look.stroke, 0.4);
+  info.centers.forEach((cell,i)=>{
+    const w = counted.get(i);
+    g.appendChild(makeSvg('polygon',{ points: polyPoints(cell.pts), fill: i === middle ? look.stroke : w !== undefined ? shade : look.palette.cell, stroke: look.stroke, 'stroke-width':1.25 }));
+    if (w === undefined || w === 1) return;
+    const fs = labelFontSize(cell), t = makeSvg('text',{ x:cell.x, y:cell.y + Math.floor(fs*0.35), 'text-anchor':'middle', 'font-size':fs, fill: look.ink || '#fff' });
+    t.textContent = String(w); g.appendChild(t);
+  });
+  const shifts = new Set([[0,0],[0,1],[1,0],[1,1]].map(([r,c])=> JSON.stringify(cellOffsets(r,c,adj,tiling).map(o=> o.join(',')).sort()))).size > 1;
+  return { g, w: info.w, h: info.h, weighted: [...counted.values()].some(w=> w !== 1), shifts };
+}
+function exportText(x, y, size, text, fill, weight){ const t = makeSvg('text',{ x, y, 'font-size':size, fill, ...(weight ? { 'font-weight':weight } : {}) }); t.textContent = text; return t; }
+// Returns the file's root element, or null when there is no solution or puzzle yet (no mines before the first click).
+function exportSvg(kind, layout){
+  const grid = exportGrid(kind); if (!grid) return null;
+  const look = layout === 'print' ? PRINT_LOOK : themeLook();
+  const drawn = exportBoardLayer(grid, look);
+  const root = makeSvg('svg',{ 'font-family':'system-ui, -apple-system, Segoe UI, sans-serif' });
+  const size = (w,h)=>{ root.setAttribute('viewBox', `0 0 ${w} ${h}`); root.setAttribute('width', w); root.setAttribute('height', h); root.appendChild(makeSvg('rect',{ width:w, height:h, fill:look.bg })); };
+  if (layout !== 'print'){ size(drawn.w, drawn.h); root.appendChild(drawn.g); return root; }
+  const M = 40, head = 70, side = Math.max(260, Math.round(drawn.w * 0.3)), ink = look.ink;
+  const pattern = patternDiagram(grid.tiling, activeAdj(), look), k = side / pattern.w;
+  const mines = firstClick ? mineTarget(grid) : mineIndices(gameGrid).length;
+  const notes = [`Adjacency: ${ADJ_LABELS[currentAdjacency] || currentAdjacency}`, 'A number counts the mines in the shaded cells around it.'];
+  if (pattern.weighted) notes.push('A written weight is what a mine there adds.');
+  if (pattern.shifts) notes.push('The pattern follows the tiling, so it shifts from cell to cell.');
+  if (grid.topology !== 'plain') notes.push(`Edges are glued (${TOPOLOGIES[grid.topology].toLowerCase()}); faded cells repeat the other side.`);
+  if (grid.perCell > 1) notes.push(`A cell can hold up to ${grid.perCell} mines.`);
+  // Without a way to measure text here, lines are sized at a generous average glyph width.
+  const noteSize = Math.max(14, Math.round(side / 22)), notesH = notes.length * noteSize * 1.5;
+  const column = Math.max(side, Math.ceil(0.55 * noteSize * Math.max(...notes.map(l=> l.length))));
+  const W = M*3 + drawn.w + column, H = M*2 + head + Math.max(drawn.h, pattern.h * k + M/2 + notesH);
+  size(W, H);
+  root.appendChild(exportText(M, M + 28, 28, `PolyWeave-Mines — ${{ state:'Game', solution:'Solution', blank:'Puzzle' }[kind]}`, ink, 600));
+  root.appendChild(exportText(M, M + 56, 16, `${tilingOf(grid.tiling).label} ${grid.rows}×${grid.cols} · ${plural(mines,'mine')}${gameSeed ? ` · seed ${gameSeed}` : ''}`, ink));
+  drawn.g.setAttribute('transform', `translate(${M},${M + head})`); root.appendChild(drawn.g);
+  pattern.g.setAttribute('transform', `translate(${M*2 + drawn.w},${M + head}) scale(${k})`); root.appendChild(pattern.g);
+  notes.forEach((line,n)=> root.appendChild(exportText(M*2 + drawn.w, M + head + pattern.h * k + M/2 + noteSize * (1 + 1.5*n), noteSize, line, ink)));
+  return root;
+}
+function openExport(){ document.getElementById('exportModal').setAttribute('aria-hidden','false'); renderExportPreview(); }
+function closeExport(){ document.getElementById('exportModal').setAttribute('aria-hidden','true'); const wrap = document.getElementById('exportPreview'); if (wrap) wrap.innerHTML = ''; }
+function exportChoice(){ return { kind: (document.getElementById('exportContent')||{}).value || 'state', layout: (document.getElementById('exportLayout')||{}).value || 'board' }; }
+// Big boards are exported without a preview: drawing them twice more would stall the page.
+function renderExportPreview(){
+  const wrap = document.getElementById('exportPreview'), info = document.getElementById('exportInfo'); if (!wrap || !gameGrid) return;
+  wrap.innerHTML = '';
+  const { kind, layout } = exportChoice();
+  if (kind !== 'state' && firstClick){ info.textContent = 'The mines are placed on the first click, so there is no solution or puzzle yet.'; return; }
+  if (gameGrid.cells.length > CANVAS_CELL_THRESHOLD){ info.textContent = `No preview for ${gameGrid.cells.length.toLocaleString()} cells; the download still works.`; return; }
+  info.textContent = '';
+  const svg = exportSvg(kind, layout); svg.removeAttribute('width'); svg.removeAttribute('height');
+  wrap.appendChild(svg);
+}
+function downloadSvg(){
+  const { kind, layout } = exportChoice();
+  const svg = exportSvg(kind, layout);
+  if (!svg){ flashStatus('Reveal a cell first: there is no solution or puzzle yet'); return; }
+  const blob = new Blob(['<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg)], { type:'image/svg+xml' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob); a.download = `polyweave-${EXPORT_NAMES[kind]}${layout === 'print' ? '-sheet' : ''}.svg`;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+}
 
-  frame.addEventListener('keydown', (e)=>{ if (e.key === '+' || e.key === '='){ view.scale = Math.min(6, view.scale * 1.12); renderBoard(); } if (e.key === '-' || e.key === '_'){ view.scale = Math.max(0.1, view.scale / 1.12); renderBoard(); } if (e.key === '0'){ view.scale = 1; view.tx=0; view.ty=0; renderBoard(); } });
+// window.PolyWeave drives the game from code (see README). Moves go through performMove like clicks, so they are
+// journaled, saved and scored the same way. Listeners are called with { type, ... } as each move lands: a move's
+// reveal or flag event comes before the win or lose it causes.
+const GAME_EVENTS = ['reveal','flag','win','lose','new-game'];
+const gameListeners = Object.fromEntries(GAME_EVENTS.map(type=> [type, new Set()]));
+function emitGameEvent(type, detail){
+  for (const fn of [...gameListeners[type]]){ try{ fn({ type, ...detail }); }catch(e){ console.error(`PolyWeave ${type} listener failed`, e); } }
+}
+function gameStatus(){ return !gameGrid ? 'none' : firstClick ? 'ready' : running ? 'playing' : modeWon(gameGrid) ? 'won' : 'lost'; }
+// Returns the move's result, or null when it isn't allowed (game over, flags off, a non-reveal first move, off the board).
+function scriptedMove(a, r, c){
+  if (!gameGrid || !Number.isInteger(r) || !Number.isInteger(c) || r < 0 || c < 0 || r >= gameGrid.rows || c >= gameGrid.cols || !playable(gameGrid, idx(gameGrid.rows,gameGrid.cols,r,c))) return null;
+  if (a === 'chord' && !canChord(gameGrid,r,c,activeAdj())) return null;
+  const res = performMove({ a, r, c });
+  return res && { changed: res.changed, exploded: res.exploded, status: gameStatus() };
+}
+function setupScriptingApi(){
+  window.PolyWeave = {
+    // options are any of currentSettings(): rows, cols, mines, seed, tiling, adjacency (a built-in or saved pattern name), shape, topology, mode, noGuess.
+    newGame(options={}){ applySettings({ ...currentSettings(), ...options }); startNewGame(); return this.board(); },
+    reveal(r, c){ return scriptedMove('reveal', r, c); },
+    flag(r, c){ return scriptedMove('flag', r, c); },
+    chord(r, c){ return scriptedMove('chord', r, c); },
+    // What the player sees (visibleBoard), with the adjacency in play, the mine total and the status: 'ready', 'playing', 'won' or 'lost'.
+    board(){ return gameGrid ? { ...visibleBoard(gameGrid), adjacency: activeAdj(), mines: firstClick ? mineTarget(gameGrid) : mineIndices(gameGrid).length, status: gameStatus() } : null; },
+    settings(){ return currentSettings(); },
+    on(type, fn){
+      if (!gameListeners[type]) throw new Error(`unknown event "${type}"; use ${GAME_EVENTS.join(', ')}`);
+      gameListeners[type].add(fn);
+      return ()=> this.off(type, fn);
+    },
+    off(type, fn){ if (gameListeners[type]) gameListeners[type].delete(fn); }
+  };
 }
 
 function init(){
+  loadStats();
   loadAll();
   wireControls();
   populateCustomAdjToDropdown();
   setupZoomPan();
+  setupBoardEvents();
+  setupScriptingApi();
   if (!gameGrid) startNewGame();
   renderBoard();
+  loadFromHash();
+  window.addEventListener('hashchange', loadFromHash);
 
   document.querySelectorAll('#adjModal .tab').forEach(btn=>{
-    btn.addEventListener('click', ()=>{ document.querySelectorAll('#adjModal .tab').forEach(t=>t.classList.remove('active')); btn.classList.add('active'); document.querySelectorAll('#adjModal .tabpane').forEach(p=>p.classList.remove('active')); document.getElementById(btn.dataset.tab + 'Tab').classList.add('active'); });
+    btn.addEventListener('click', ()=>{ document.querySelectorAll('#adjModal .tab').forEach(t=>t.classList.remove('active')); btn.classList.add('active'); document.querySelectorAll('#adjModal .tabpane').forEach(p=>p.classList.remove('active')); document.getElementById(btn.dataset.tab + 'Tab').classList.add('active'); if (btn.dataset.tab === 'preview' && !preview.grid) startPreview(); });
   });
 
+  document.querySelectorAll('#puzzleModal .tab').forEach(btn=>{ btn.addEventListener('click', ()=>{ showPuzzleTab(btn.dataset.tab); }); });
+
   const pasteModal = document.getElementById('pasteModal');
   if (pasteModal) pasteModal.addEventListener('click', (e)=>{ if (e.target === e.currentTarget) closePasteModal(); });
+  const statsModal = document.getElementById('statsModal');
+  if (statsModal) statsModal.addEventListener('click', (e)=>{ if (e.target === e.currentTarget) closeStatsModal(); });
+  const themeModal = document.getElementById('themeModal');
+  if (themeModal) themeModal.addEventListener('click', (e)=>{ if (e.target === e.currentTarget) closeThemeEditor(); });
+  const exportModal = document.getElementById('exportModal');
+  if (exportModal) exportModal.addEventListener('click', (e)=>{ if (e.target === e.currentTarget) closeExport(); });
+  const puzzleModal = document.getElementById('puzzleModal');
+  if (puzzleModal) puzzleModal.addEventListener('click', (e)=>{ if (e.target === e.currentTarget) closePuzzles(); });
+  const savesModal = document.getElementById('savesModal');
+  if (savesModal) savesModal.addEventListener('click', (e)=>{ if (e.target === e.currentTarget) closeSavesModal(); });
+  const maskModal = document.getElementById('maskModal');
+  if (maskModal) maskModal.addEventListener('click', (e)=>{ if (e.target === e.currentTarget) closeMaskEditor(); });
+  const replayModal = document.getElementById('replayModal');
+  if (replayModal) replayModal.addEventListener('click', (e)=>{ if (e.target === e.currentTarget) closeReplay(); });
   const adjModal = document.getElementById('adjModal');
   if (adjModal) adjModal.addEventListener('click', (e)=>{ if (e.target === e.currentTarget) closeAdjModal(); });
 }
@@ -0,0 +1,50 @@
+// Bots for the scripting API and tools/bench.mjs. A bot takes a view (visibleBoard plus adjacency, mines and status,
+// as window.PolyWeave.board() returns it) and an rng, and returns the moves to make: { a:'reveal'|'flag'|'chord', r, c },
+// with guess: true on a reveal it isn't sure of.
+import { gridFromView, neighborIndexLists, findDeductions, mineOdds, playable, ODDS_BUDGET, ODDS_SWEEPS } from './engine.js';
+
+function moveAt(grid, a, i){ return { a, r: Math.floor(i/grid.cols), c: i%grid.cols }; }
+function hiddenCells(grid){ return grid.cells.map((_,i)=> i).filter(i=> !grid.cells[i].revealed && playable(grid,i)); }
+// The playable cell nearest the middle, where a first click opens the most.
+function middleCell(grid, cells){
+  const d = i=> (Math.floor(i/grid.cols) - (grid.rows-1)/2) ** 2 + (i%grid.cols - (grid.cols-1)/2) ** 2;
+  return cells.reduce((best,i)=> d(i) < d(best) ? i : best);
+}
+
+// Reveals every cell the numbers prove safe and flags every proven mine; with nothing proven it guesses the hidden
+// cell mineOdds rates least likely to hold a mine. Flags are only placed, never read: a wrong flag can't mislead it.
+export function logicBot(view, rng=Math.random){
+  if ((view.perCell || 1) > 1) throw new Error('logicBot plays one mine per cell');
+  const grid = gridFromView(view), links = neighborIndexLists(grid, view.adjacency), hidden = hiddenCells(grid);
+  if (!hidden.length) return [];
+  if (view.status === 'ready' || grid.cells.every(cl=> !cl.revealed)) return [moveAt(grid, 'reveal', middleCell(grid, hidden))];
+  const state = new Int8Array(grid.cells.length); grid.cells.forEach((cl,i)=>{ if (cl.revealed) state[i] = cl.mine ? 2 : 1; });
+  const safe = new Set(), mines = [];
+  // Proven mines feed the next pass, which may prove more cells either way.
+  for (let more = true; more;){
+    more = false;
+    for (const d of findDeductions(grid, links, state, view.mines, false)) for (const i of d.cells){
+      if (state[i] !== 0) continue;
+      if (d.mine){ state[i] = 2; mines.push(i); more = true; } else safe.add(i);
+    }
+  }
+  const flags = mines.filter(i=> !grid.cells[i].flagged).map(i=> moveAt(grid, 'flag', i));
+  if (safe.size) return flags.concat([...safe].map(i=> moveAt(grid, 'reveal', i)));
+  const open = hidden.filter(i=> state[i] === 0);
+  if (!open.length) return flags;
+  // Past the quick rules, counting arrangements can still prove cells; only when it proves none is it a guess.
+  const odds = mineOdds(grid, links, state, view.mines, ODDS_BUDGET, ODDS_SWEEPS, rng);
+  const sure = odds ? open.filter(i=> odds.sure[i] === 1) : [];
+  if (sure.length) return flags.concat(sure.map(i=> moveAt(grid, 'reveal', i)));
+  let pick = open[Math.floor(rng() * open.length)];
+  if (odds) for (const i of open) if (!isNaN(odds.p[i]) && !(odds.p[i] >= odds.p[pick])) pick = i;
+  return flags.concat([{ ...moveAt(grid, 'reveal', pick), guess: true }]);
+}
+
+// Clicks a random hidden cell: the baseline any pattern should beat.
+export function randomBot(view, rng=Math.random){
+  const grid = gridFromView(view), hidden = hiddenCells(grid).filter(i=> !grid.cells[i].flagged);
+  return hidden.length ? [{ ...moveAt(grid, 'reveal', hidden[Math.floor(rng() * hidden.length)]), guess: view.status !== 'ready' }] : [];
+}
+
+export const BOTS = { logic: logicBot, random: randomBot };
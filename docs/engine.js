@@ -0,0 +1,656 @@
+// Game rules with no DOM and no shared state: every call takes the grid, the adjacency and (where it matters) an RNG.
+
+export function idx(rows,cols,r,c){ return r*cols + c; }
+// mask, when present, is a rows*cols array of 1 (playable) / 0 (cut out); cut-out cells are never neighbors, mines or moves.
+export function inBounds(rows,cols,r,c,mask){ return r>=0 && r<rows && c>=0 && c<cols && (!mask || !!mask[r*cols+c]); }
+export function createGrid(rows,cols,tiling='square',mask=null,topology='plain'){ return { rows, cols, tiling, mask, topology, cells: Array(rows*cols).fill(0).map(()=>({ mine:false, revealed:false, flagged:false, count:0 })) }; }
+// Multi-mine boards keep a per-cell amount in cell.mines / cell.flags (grid.perCell caps it); plain boards only set the booleans.
+export function minesIn(cell){ return cell.mine ? (cell.mines || 1) : 0; }
+export function flagsOn(cell){ return cell.flagged ? (cell.flags || 1) : 0; }
+export function addMine(cell){ cell.mines = minesIn(cell) + 1; cell.mine = true; }
+export function addFlag(cell){ cell.flags = flagsOn(cell) + 1; cell.flagged = true; }
+export function playable(grid,i){ return !grid.mask || !!grid.mask[i]; }
+export function playableCount(grid){ return grid.mask ? grid.mask.reduce((n,v)=> n + (v ? 1 : 0), 0) : grid.rows*grid.cols; }
+
+// Which edges are glued together. A flipped seam mirrors the other axis as you cross it; odd board sizes
+// can break the row/column parity hex, triangle and octagon tilings rely on, so those read best with even sizes.
+export const TOPOLOGIES = { plain:'Plain', cylinder:'Cylinder', torus:'Torus', klein:'Klein bottle', projective:'Projective plane' };
+const TOPOLOGY_SEAMS = { plain:[null,null], cylinder:[null,'straight'], torus:['straight','straight'], klein:['straight','flip'], projective:['flip','flip'] };
+// Maps a possibly off-board [r,c] onto the board as the topology glues it, or null if it falls off (or on a cut-out cell).
+export function wrapCell(grid,r,c){
+  const { rows, cols } = grid; const [rowSeam, colSeam] = TOPOLOGY_SEAMS[grid.topology] || TOPOLOGY_SEAMS.plain;
+  const kr = Math.floor(r/rows), kc = Math.floor(c/cols);
+  if ((kr && !rowSeam) || (kc && !colSeam)) return null;
+  let rr = r - kr*rows, cc = c - kc*cols;
+  if (colSeam === 'flip' && (kc & 1)) rr = rows-1-rr;
+  if (rowSeam === 'flip' && (kr & 1)) cc = cols-1-cc;
+  return inBounds(rows,cols,rr,cc,grid.mask) ? [rr,cc] : null;
+}
+
+// Shapes are laid out in row/column space, so on skewed tilings they stretch with the grid.
+export const SHAPES = { rect:'Rectangle', circle:'Circle', diamond:'Diamond', ring:'Ring' };
+export function shapeMask(shape,rows,cols){
+  if (!SHAPES[shape] || shape === 'rect') return null;
+  const mask = new Array(rows*cols);
+  for (let r=0;r<rows;r++) for (let c=0;c<cols;c++){
+    const x = (c+0.5)/cols*2 - 1, y = (r+0.5)/rows*2 - 1;
+    const d = shape === 'diamond' ? Math.abs(x) + Math.abs(y) : Math.hypot(x,y);
+    mask[idx(rows,cols,r,c)] = d <= 1 && (shape !== 'ring' || d >= 0.5) ? 1 : 0;
+  }
+  return mask;
+}
+function squareOffsets(r,c,adj){
+  if (adj === 'edges4') return [[-1,0],[1,0],[0,-1],[0,1]];
+  if (adj === 'all8') return [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]];
+  return [[-1,0],[1,0],[0,-1],[0,1]];
+}
+
+// Hex boards use axial [dr,dq] offsets; offset (odd-r) boards convert them per row parity.
+function hexAxialOffsets(radius){
+  const out=[];
+  for (let dr=-radius;dr<=radius;dr++) for (let dq=-radius;dq<=radius;dq++){ if ((dr||dq) && Math.abs(dr)+Math.abs(dq)+Math.abs(dr+dq) <= radius*2) out.push([dr,dq]); }
+  return out;
+}
+function hexOffsets(r,c,adj,axial){
+  const axialOffs = hexAxialOffsets(adj === 'hex18' ? 2 : 1);
+  if (axial) return axialOffs;
+  const q = c - ((r - (r&1))>>1);
+  return axialOffs.map(([dr,dq])=>{ const rr=r+dr; return [dr, q + dq + ((rr - (rr&1))>>1) - c]; });
+}
+function triOffsets(r,c,adj){
+  const up = ((r+c)&1) === 0;
+  if (adj === 'tri3') return up ? [[0,-1],[0,1],[1,0]] : [[0,-1],[0,1],[-1,0]];
+  const base = up ? 1 : -1, out=[];
+  for (let dc=-2;dc<=2;dc++){ out.push([base,dc]); if (dc) out.push([0,dc]); }
+  for (let dc=-1;dc<=1;dc++) out.push([-base,dc]);
+  return out;
+}
+function octOffsets(r,c){ return ((r+c)&1) === 0 ? squareOffsets(r,c,'all8') : squareOffsets(r,c,'edges4'); }
+
+export const ADJ_LABELS = { all8:'All (8)', edges4:'Edges (4)', hex6:'Edges (6)', hex18:'Radius 2 (18)', tri12:'Vertices (12)', tri3:'Edges (3)', oct:'Edges (8/4)' };
+export const TILINGS = {
+  square:     { label:'Square',         adj:['all8','edges4'], offsets:(r,c,adj)=> squareOffsets(r,c,adj) },
+  hex:        { label:'Hex (offset)',   adj:['hex6','hex18'],  offsets:(r,c,adj)=> hexOffsets(r,c,adj,false) },
+  hexAxial:   { label:'Hex (axial)',    adj:['hex6','hex18'],  offsets:(r,c,adj)=> hexOffsets(r,c,adj,true) },
+  triangle:   { label:'Triangle',       adj:['tri12','tri3'],  offsets:(r,c,adj)=> triOffsets(r,c,adj) },
+  octasquare: { label:'Octagon-Square', adj:['oct'],           offsets:(r,c)=> octOffsets(r,c) }
+};
+export function tilingOf(name){ return TILINGS[name] || TILINGS.square; }
+export function defaultAdjacency(tiling){ return tilingOf(tiling).adj[0]; }
+
+// An adjacency is a built-in name, resolved against the tiling, or a list of raw [dr,dc] or weighted [dr,dc,w] steps usable on any tiling.
+export function cellOffsets(r,c,adj,tiling='square'){
+  if (Array.isArray(adj)) return adj;
+  const t = tilingOf(tiling);
+  return t.offsets(r,c, t.adj.includes(adj) ? adj : t.adj[0]);
+}
+// On wrapped boards a large pattern can reach a cell twice, or the cell itself; each neighbor is listed once.
+export function neighborCells(grid,r,c,adj){
+  const out=[]; const seen = grid.topology && grid.topology !== 'plain' ? new Set([idx(grid.rows,grid.cols,r,c)]) : null;
+  for (const [dr,dc,w=1] of cellOffsets(r,c,adj,grid.tiling)){
+    const at = seen ? wrapCell(grid,r+dr,c+dc) : inBounds(grid.rows,grid.cols,r+dr,c+dc,grid.mask) ? [r+dr,c+dc] : null;
+    if (!at) continue;
+    if (seen){ const k = idx(grid.rows,grid.cols,at[0],at[1]); if (seen.has(k)) continue; seen.add(k); }
+    out.push([at[0],at[1],w]);
+  }
+  return out;
+}
+
+
+export function computeCounts(grid, adjacency){
+  const { rows, cols, cells } = grid;
+  for (let r=0;r<rows;r++){
+    for (let c=0;c<cols;c++){
+      const i=idx(rows,cols,r,c);
+      if (cells[i].mine){ cells[i].count = 0; continue; }
+      let cnt = 0;
+      for (const [rr,cc,w] of neighborCells(grid,r,c,adjacency)){ cnt += w * minesIn(cells[idx(rows,cols,rr,cc)]); }
+      cells[i].count = cnt;
+    }
+  }
+}
+
+export function hashSeed(str){
+  let h = 2166136261 >>> 0;
+  for (let i=0;i<str.length;i++){ h ^= str.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return h >>> 0;
+}
+export function makeRng(seed){
+  let a = hashSeed(String(seed));
+  return function(){ a = (a + 0x6D2B79F5) | 0; let t = Math.imul(a ^ (a >>> 15), 1 | a); t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t; return ((t ^ (t >>> 14)) >>> 0) / 4294967296; };
+}
+
+export function placeMines(grid, mineCount, safe, adj, rng=Math.random){
+  const { rows, cols, cells } = grid;
+  cells.forEach(cell=>{ cell.mine=false; cell.mines=0; cell.revealed=false; cell.flagged=false; cell.flags=0; cell.count=0; });
+  const total = rows*cols;
+  const perm = Array.from({length:total}, (_,i) => i);
+  for (let i=total-1;i>0;i--){ const j=Math.floor(rng()*(i+1)); [perm[i],perm[j]]=[perm[j],perm[i]]; }
+
+  const forbidden = new Set();
+  if (safe){
+    const [sr,sc] = safe;
+    forbidden.add(idx(rows,cols,sr,sc));
+    for (const [rr,cc] of neighborCells(grid,sr,sc,adj)) forbidden.add(idx(rows,cols,rr,cc));
+  }
+
+  // With several mines per cell each chosen cell draws 1..perCell of them; leftovers top up cells already chosen.
+  const perCell = grid.perCell || 1;
+  let placed=0,k=0,maxPlace=Math.min(mineCount,(playableCount(grid)-1)*perCell);
+  while (placed<maxPlace && k<total){
+    const pos = perm[k++];
+    if (forbidden.has(pos) || !playable(grid,pos)) continue;
+    const n = perCell > 1 ? Math.min(maxPlace-placed, 1 + Math.floor(rng()*perCell)) : 1;
+    cells[pos].mine = true; if (perCell > 1) cells[pos].mines = n; placed += n;
+  }
+  for (let i=0;perCell>1 && i<total && placed<maxPlace;i++) while (cells[i].mine && cells[i].mines < perCell && placed<maxPlace){ cells[i].mines++; placed++; }
+  computeCounts(grid,adj);
+  return mineIndices(grid);
+}
+
+// With signed weights a zero total can hide cancelling mines, so only a cell with no mine in range at all floods.
+export function floods(grid,r,c,adj){
+  return grid.cells[idx(grid.rows,grid.cols,r,c)].count === 0 && neighborCells(grid,r,c,adj).every(([rr,cc])=> !grid.cells[idx(grid.rows,grid.cols,rr,cc)].mine);
+}
+export function revealCell(grid,r,c,adj){
+  const { rows, cols, cells } = grid;
+  if (!inBounds(rows,cols,r,c,grid.mask)) return { changed:[], exploded:false };
+  const i=idx(rows,cols,r,c); const cell = cells[i];
+  if (!cell || cell.revealed || cell.flagged) return { changed:[], exploded:false };
+  if (cell.mine){ cell.revealed = true; return { changed:[[r,c]], exploded:true }; }
+
+  const changed=[]; const stack=[[r,c]];
+  while (stack.length){
+    const [rr,cc] = stack.pop(); const ii = idx(rows,cols,rr,cc); const cl = cells[ii];
+    if (!cl || cl.revealed || cl.flagged) continue;
+    cl.revealed = true; changed.push([rr,cc]);
+    if (floods(grid,rr,cc,adj)){
+      for (const [nr,nc] of neighborCells(grid,rr,cc,adj)){
+        const ni = idx(rows,cols,nr,nc); if (!cells[ni].revealed && !cells[ni].flagged) stack.push([nr,nc]);
+      }
+    }
+  }
+  return { changed, exploded:false };
+}
+export function chordCell(grid,r,c,adj){
+  const changed=[]; let exploded=false;
+  for (const [rr,cc] of neighborCells(grid,r,c,adj)){
+    const neigh = grid.cells[idx(grid.rows,grid.cols,rr,cc)];
+    if (!neigh.flagged && !neigh.revealed){ const res = revealCell(grid,rr,cc,adj); changed.push(...res.changed); if (res.exploded) exploded=true; }
+  }
+  return { changed, exploded };
+}
+export function applyMove(grid,move,adj){
+  if (move.a === 'flag') return { changed: toggleFlag(grid,move.r,move.c) === null ? [] : [[move.r,move.c]], exploded:false };
+  if (move.a === 'chord') return chordCell(grid,move.r,move.c,adj);
+  return revealCell(grid,move.r,move.c,adj);
+}
+// On multi-mine boards a flag cycles 1, 2, ... perCell and back to none.
+export function toggleFlag(grid,r,c){
+  const {rows,cols,cells}=grid; if (!inBounds(rows,cols,r,c,grid.mask)) return null; const i=idx(rows,cols,r,c); const cell=cells[i]; if (!cell || cell.revealed) return null;
+  if ((grid.perCell || 1) > 1){ cell.flags = (flagsOn(cell) + 1) % (grid.perCell + 1); cell.flagged = cell.flags > 0; }
+  else cell.flagged = !cell.flagged;
+  return cell.flagged;
+}
+// A cell with several mines is listed once per mine.
+export function mineIndices(grid){ return grid.cells.flatMap((c,i)=> Array(minesIn(c)).fill(i)); }
+// A mine counts as found when flagged with its exact amount or already revealed (a hit survived in lives mode); flagless games only need the safe cells.
+export function checkWin(grid, flagless=false){ return grid.cells.every((cell,i) => !playable(grid,i) || (cell.mine ? cell.revealed || flagless || flagsOn(cell) === minesIn(cell) : cell.revealed)); }
+export function countFlaggedNeighbors(grid,r,c,adj){ let count=0; for (const [rr,cc,w] of neighborCells(grid,r,c,adj)){ const n = grid.cells[idx(grid.rows,grid.cols,rr,cc)]; count += w * (n.revealed && n.mine ? minesIn(n) : flagsOn(n)); } return count; }
+// A revealed number chords once its flags (and any revealed mines) add up to it; a zero needs at least one of them, since it may be cancelling mines.
+export function canChord(grid,r,c,adj){
+  const cl = grid.cells[idx(grid.rows,grid.cols,r,c)];
+  if (!cl.revealed || cl.mine) return false;
+  const around = neighborCells(grid,r,c,adj).map(([rr,cc])=> grid.cells[idx(grid.rows,grid.cols,rr,cc)]);
+  if (!around.some(n=> !n.revealed && !n.flagged)) return false;
+  if (cl.count === 0 && !around.some(n=> n.flagged || (n.revealed && n.mine))) return false;
+  return countFlaggedNeighbors(grid,r,c,adj) === cl.count;
+}
+
+export const NO_GUESS_BUDGET = { ms: 2500, attempts: 500 };
+
+export function neighborIndexLists(grid,adj){
+  const { rows, cols } = grid; const nbrs = new Array(rows*cols); const weights = new Array(rows*cols); const seenBy = Array.from({length:rows*cols}, ()=>[]);
+  for (let r=0;r<rows;r++) for (let c=0;c<cols;c++){
+    const i = idx(rows,cols,r,c); const around = neighborCells(grid,r,c,adj);
+    nbrs[i] = around.map(([rr,cc])=> idx(rows,cols,rr,cc));
+    weights[i] = around.map(n=> n[2]);
+    for (const j of nbrs[i]) seenBy[j].push(i);
+  }
+  return { nbrs, weights, seenBy };
+}
+
+// 3BV is the fewest clicks that clear the board without flags: one per opening (everything a flood click uncovers) plus
+// one per safe cell no opening reaches. Patterns can be one-way, so openings are clicked in decreasing DFS finish order,
+// which always picks a cell nothing else floods into. solved counts the openings and isolated cells uncovered so far;
+// difficulty is 3BV per 100 safe cells.
+export function boardMetrics(grid,adj){
+  const { nbrs } = neighborIndexLists(grid,adj); const cells = grid.cells; const n = cells.length;
+  const safe = i=> playable(grid,i) && !cells[i].mine;
+  const flood = new Uint8Array(n);
+  for (let i=0;i<n;i++) if (safe(i) && nbrs[i].every(j=> !cells[j].mine)) flood[i] = 1;
+  const order = [], seen = new Uint8Array(n);
+  for (let s=0;s<n;s++){
+    if (!flood[s] || seen[s]) continue;
+    seen[s] = 1; const stack = [[s,0]];
+    while (stack.length){
+      const top = stack[stack.length-1]; const list = nbrs[top[0]];
+      if (top[1] < list.length){ const j = list[top[1]++]; if (flood[j] && !seen[j]){ seen[j] = 1; stack.push([j,0]); } }
+      else { order.push(top[0]); stack.pop(); }
+    }
+  }
+  const region = new Int32Array(n).fill(-1); let openings = 0, solved = 0;
+  for (let k=order.length-1;k>=0;k--){
+    const s = order[k]; if (region[s] >= 0) continue;
+    const id = openings++; const stack = [s]; let done = true; region[s] = id;
+    while (stack.length){
+      const i = stack.pop(); if (!flood[i]) continue;
+      if (!cells[i].revealed) done = false;
+      for (const j of nbrs[i]) if (region[j] < 0 && safe(j)){ region[j] = id; stack.push(j); }
+    }
+    if (done) solved++;
+  }
+  let isolated = 0, safeCount = 0;
+  for (let i=0;i<n;i++){
+    if (!safe(i)) continue;
+    safeCount++;
+    if (region[i] < 0){ isolated++; if (cells[i].revealed) solved++; }
+  }
+  const bbbv = openings + isolated;
+  return { bbbv, openings, isolated, solved, difficulty: safeCount ? Math.round(100 * bbbv / safeCount) : 0 };
+}
+
+// state[i]: 0 hidden, 1 known safe (revealed), 2 known mine. Counts are read from grid.cells.
+// w holds each hidden cell's weight; unit is true when they are all 1, the only case the subset rule handles.
+export function constraintAt(grid,links,state,i){
+  if (state[i] !== 1 || grid.cells[i].mine) return null;
+  const hidden = [], w = []; let known = 0;
+  links.nbrs[i].forEach((j,n)=>{ const wj = links.weights[i][n]; if (state[j] === 0){ hidden.push(j); w.push(wj); } else if (state[j] === 2) known += wj; });
+  if (!hidden.length) return null;
+  return { at:i, hidden, w, unit: w.every(x=> x === 1), rem: grid.cells[i].count - known };
+}
+export function findDeductions(grid,links,state,totalMines,firstOnly){
+  const out = []; const n = state.length; const cons = new Map();
+  for (let i=0;i<n;i++){ const k = constraintAt(grid,links,state,i); if (k) cons.set(i,k); }
+  for (const k of cons.values()){
+    if (k.unit){
+      if (k.rem === 0) out.push({ kind:'single', from:k.at, cells:k.hidden, mine:false });
+      else if (k.rem === k.hidden.length) out.push({ kind:'single', from:k.at, cells:k.hidden, mine:true });
+    } else {
+      // Reaching the largest (or smallest) possible total forces every positive weight one way and every negative the other.
+      const hi = k.w.reduce((s,x)=> s + Math.max(0,x), 0), lo = k.w.reduce((s,x)=> s + Math.min(0,x), 0);
+      if (k.rem === hi || k.rem === lo){
+        const pos = k.hidden.filter((_,n)=> k.w[n] > 0), neg = k.hidden.filter((_,n)=> k.w[n] < 0);
+        if (pos.length) out.push({ kind:'single', from:k.at, cells:pos, mine: k.rem === hi });
+        if (neg.length) out.push({ kind:'single', from:k.at, cells:neg, mine: k.rem === lo });
+      }
+    }
+    if (firstOnly && out.length) return out;
+  }
+  if (out.length) return out;
+  for (const a of cons.values()){
+    if (!a.unit) continue;
+    const inA = new Set(a.hidden); const seen = new Set();
+    for (const u of a.hidden) for (const bi of links.seenBy[u]){
+      if (bi === a.at || seen.has(bi) || !cons.has(bi) || !cons.get(bi).unit) continue;
+      seen.add(bi);
+      const b = cons.get(bi); const inB = new Set(b.hidden);
+      const onlyA = a.hidden.filter(x=> !inB.has(x)), onlyB = b.hidden.filter(x=> !inA.has(x));
+      if (onlyB.length && b.rem - a.rem === onlyB.length){
+        out.push({ kind:'subset', from:b.at, via:a.at, cells:onlyB, mine:true });
+        if (onlyA.length) out.push({ kind:'subset', from:b.at, via:a.at, cells:onlyA, mine:false });
+      }
+      if (firstOnly && out.length) return out;
+    }
+  }
+  if (out.length || totalMines == null) return out;
+  const hidden = []; let known = 0;
+  for (let i=0;i<n;i++){ if (state[i] === 0 && playable(grid,i)) hidden.push(i); else if (state[i] === 2) known++; }
+  if (hidden.length && totalMines - known === 0) out.push({ kind:'global', cells:hidden, mine:false });
+  else if (hidden.length && totalMines - known === hidden.length) out.push({ kind:'global', cells:hidden, mine:true });
+  return out;
+}
+
+// Marks i known safe, flooding on through cells with no mine in range the way revealCell does.
+function openKnown(cells,links,state,i){
+  const stack=[i];
+  while (stack.length){ const j = stack.pop(); if (state[j] !== 0) continue; state[j] = 1; if (cells[j].count === 0 && links.nbrs[j].every(k=> !cells[k].mine)) for (const k of links.nbrs[j]) if (state[k] === 0) stack.push(k); }
+}
+
+export function solveLogically(grid,start,adj){
+  const links = neighborIndexLists(grid,adj); const cells = grid.cells; const state = new Int8Array(cells.length);
+  const totalMines = cells.reduce((n,cl)=> n + (cl.mine ? 1 : 0), 0);
+  const open = i=> openKnown(cells,links,state,i);
+  if (cells[start].mine) return false;
+  open(start);
+  for (;;){
+    const found = findDeductions(grid,links,state,totalMines,false);
+    if (!found.length) break;
+    for (const d of found) for (const i of d.cells){
+      if (state[i] !== 0) continue;
+      if (d.mine) state[i] = 2; else { if (cells[i].mine) return false; open(i); }
+    }
+  }
+  return cells.every((cl,i)=> cl.mine || state[i] === 1 || !playable(grid,i));
+}
+
+export function placeMinesNoGuess(grid, mineCount, safe, adj, budget=NO_GUESS_BUDGET, rng=Math.random){
+  const t0 = Date.now(); const start = idx(grid.rows,grid.cols,safe[0],safe[1]);
+  let attempts = 0;
+  while (attempts < budget.attempts && Date.now() - t0 < budget.ms){
+    attempts++;
+    placeMines(grid, mineCount, safe, adj, rng);
+    if (solveLogically(grid,start,adj)) return { solved:true, attempts, ms: Date.now() - t0 };
+  }
+  return { solved:false, attempts, ms: Date.now() - t0 };
+}
+
+
+export const ODDS_BUDGET = 200000;
+export const ODDS_SWEEPS = 400;
+
+// Assigning one group's cells in order. Each constraint tracks the most and least its unassigned cells can still add,
+// so set() reports as soon as a number is out of reach and unset() undoes it. near lists the cells sharing a number.
+function groupSearch(cells,cons){
+  const at = new Map(cells.map((x,n)=> [x,n]));
+  const need = cons.map(k=> k.rem), hi = cons.map(k=> k.w.reduce((s,x)=> s + Math.max(0,x), 0)), lo = cons.map(k=> k.w.reduce((s,x)=> s + Math.min(0,x), 0));
+  const touch = cells.map(()=> []);
+  cons.forEach((k,c)=> k.hidden.forEach((x,m)=> touch[at.get(x)].push([c, k.w[m]])));
+  return {
+    set(d,v){ for (const [c,w] of touch[d]){ if (w > 0) hi[c] -= w; else lo[c] -= w; need[c] -= v*w; } return touch[d].every(([c])=> lo[c] <= need[c] && need[c] <= hi[c]); },
+    unset(d,v){ for (const [c,w] of touch[d]){ if (w > 0) hi[c] += w; else lo[c] += w; need[c] += v*w; } },
+    near: touch.map(list=> [...new Set(list.flatMap(([c])=> cons[c].hidden.map(x=> at.get(x))))])
+  };
+}
+// Depth-first over the group cells in list, trying order() at each depth; onLeaf gets each full assignment (by depth)
+// and returns true to stop there, leaving it applied. Returns false, with nothing applied, past budget steps.
+function walkGroup(search,list,budget,onLeaf,order){
+  const size = list.length, val = new Int8Array(size), next = new Int8Array(size), vals = new Array(size); let d = 0, steps = 0;
+  if (size) vals[0] = order();
+  while (d >= 0){
+    if (d === size){ if (onLeaf(val)) return true; d--; if (d >= 0) search.unset(list[d], val[d]); continue; }
+    if (next[d] >= vals[d].length){ next[d] = 0; d--; if (d >= 0) search.unset(list[d], val[d]); continue; }
+    if (++steps > budget){ for (let e=d-1;e>=0;e--) search.unset(list[e], val[e]); return false; }
+    const v = vals[d][next[d]++];
+    if (search.set(list[d],v)){ val[d] = v; d++; if (d < size) vals[d] = order(); }
+    else search.unset(list[d],v);
+  }
+  return true;
+}
+// Every assignment of one group's cells that fits its constraints, tallied by how many mines it uses: ways[k]
+// assignments with k mines, of which cellWays[k][n] put a mine on cells[n]. Returns null past budget steps.
+function enumerateGroup(cells,cons,budget){
+  const ways = [], cellWays = [];
+  const done = walkGroup(groupSearch(cells,cons), cells.map((_,n)=> n), budget, val=>{
+    let mines = 0; for (const v of val) mines += v;
+    ways[mines] = (ways[mines] || 0) + 1;
+    const row = cellWays[mines] || (cellWays[mines] = new Float64Array(cells.length));
+    val.forEach((v,n)=>{ if (v) row[n]++; });
+    return false;
+  }, ()=> [0,1]);
+  return done ? { ways, cellWays } : null;
+}
+const SAMPLE_CHAINS = 8, SAMPLE_BLOCK = 24, BLOCK_BUDGET = 20000, CHAIN_RHAT = 1.1;
+// Gelman–Rubin for one quantity over equal-length chains: the spread between chain means against the spread within
+// them. Near 1 once the chains agree; chains stuck on different values give Infinity.
+function rhat(means, vars, N){
+  const C = means.length, m = means.reduce((a,b)=> a + b, 0) / C;
+  const B = N * means.reduce((a,x)=> a + (x - m) ** 2, 0) / (C - 1), W = vars.reduce((a,b)=> a + b, 0) / C;
+  if (!(W > 0)) return B > 1e-12 ? Infinity : 1;
+  return Math.sqrt(((N - 1) / N * W + B / N) / W);
+}
+// The same tallies estimated by Markov chains: each starts from its own random arrangement that fits, then repeatedly
+// picks a clue and redraws all of its cells (and whole neighbouring clues, up to SAMPLE_BLOCK cells) from every way
+// they can be filled around the rest. The chains favour each mine by rho (the odds of a mine elsewhere on the board)
+// and the tallies divide that back out, so they combine with the other groups like exact counts.
+// The chains are compared cell by cell: unsure[n] is 1 where they still disagree, and counted is false when they
+// disagree on how many mines the group holds. Returns null when no starting arrangement turns up within budget.
+function sampleGroup(cells,cons,sweeps,budget,rho,rng){
+  const search = groupSearch(cells,cons), size = cells.length, at = new Map(cells.map((x,n)=> [x,n]));
+  const clue = cons.map(k=> k.hidden.map(x=> at.get(x))), cluesOf = cells.map(()=> []);
+  clue.forEach((list,c)=> list.forEach(d=> cluesOf[d].push(c)));
+  const block = ()=>{
+    const first = Math.floor(rng() * clue.length), inBlock = new Set(clue[first]), queue = [first], seen = new Set(queue);
+    for (let q=0;q<queue.length;q++) for (const d of clue[queue[q]]) for (const c of cluesOf[d]){
+      if (seen.has(c)) continue; seen.add(c);
+      const extra = clue[c].filter(x=> !inBlock.has(x));
+      if (inBlock.size + extra.length <= SAMPLE_BLOCK && rng() < 0.5){ extra.forEach(x=> inBlock.add(x)); queue.push(c); }
+    }
+    return [...inBlock];
+  };
+  const N = Math.max(10, Math.ceil(sweeps / SAMPLE_CHAINS)), burn = Math.ceil(N / 4), updates = Math.ceil(size / 4);
+  const counts = [], cellCounts = [], cellMeans = cells.map(()=> []), countMeans = [], countVars = [];
+  for (let chain=0;chain<SAMPLE_CHAINS;chain++){
+    let pick = null;
+    // Each chain fills the cells outward from a random one, so chains start from different corners of the group.
+    const first = Math.floor(rng() * size), order = [first], seen = new Uint8Array(size); seen[first] = 1;
+    for (let q=0;q<order.length;q++) for (const d of search.near[order[q]]) if (!seen[d]){ seen[d] = 1; order.push(d); }
+    walkGroup(search, order, budget, val=>{ pick = new Uint8Array(size); val.forEach((v,j)=>{ pick[order[j]] = v; }); return true; }, ()=> rng() < 0.5 ? [0,1] : [1,0]);
+    if (!pick) return null;
+    let mines = pick.reduce((s,v)=> s + v, 0), kSum = 0, kSq = 0;
+    const hits = new Float64Array(size);
+    for (let t=0;t<burn+N;t++){
+      for (let u=0;u<updates;u++){
+        const b = block();
+        let was = 0; for (const d of b){ search.unset(d, pick[d]); was += pick[d]; }
+        const options = [], weights = [];
+        const done = walkGroup(search, b, BLOCK_BUDGET, val=>{ let k = 0; for (const v of val) k += v; options.push(Int8Array.from(val)); weights.push(Math.pow(rho, k - was)); return false; }, ()=> [0,1]);
+        let choice = b.map(d=> pick[d]);
+        if (done){ let r = rng() * weights.reduce((a,x)=> a + x, 0), j = 0; while (j < options.length - 1 && (r -= weights[j]) > 0) j++; choice = options[j]; }
+        b.forEach((d,j)=>{ mines += choice[j] - pick[d]; pick[d] = choice[j]; search.set(d, pick[d]); });
+      }
+      if (t < burn) continue;
+      counts[mines] = (counts[mines] || 0) + 1; kSum += mines; kSq += mines * mines;
+      const row = cellCounts[mines] || (cellCounts[mines] = new Float64Array(size));
+      pick.forEach((v,n)=>{ if (v){ row[n]++; hits[n]++; } });
+    }
+    hits.forEach((h,n)=> cellMeans[n].push(h / N));
+    countMeans.push(kSum / N); countVars.push(Math.max(0, (kSq - kSum * kSum / N) / (N - 1)));
+    pick.forEach((v,d)=> search.unset(d, v));
+  }
+  const unsure = Uint8Array.from(cellMeans, ms=> rhat(ms, ms.map(m=> m * (1 - m) * N / (N - 1)), N) > CHAIN_RHAT ? 1 : 0);
+  const counted = rhat(countMeans, countVars, N) <= CHAIN_RHAT;
+  const logs = counts.map((x,k)=> x ? Math.log(x) - k * Math.log(rho) : -Infinity), top = Math.max(...logs.filter(x=> x > -Infinity));
+  const ways = [], cellWays = [];
+  counts.forEach((x,k)=>{ if (!x) return; const scale = Math.exp(logs[k] - top) / x; ways[k] = x * scale; cellWays[k] = cellCounts[k].map(y=> y * scale); });
+  return { ways, cellWays, raw: counts, unsure, counted };
+}
+
+const SAMPLE_ROUNDS = 3, SAMPLE_MIN_ESS = 20;
+// The sampled counts' mean and spread, from the raw tallies.
+function sampledCounts(g){
+  let n = 0, sum = 0, sq = 0;
+  g.raw.forEach((x,k)=>{ if (x){ n += x; sum += x * k; sq += x * k * k; } });
+  const mean = sum / n;
+  return { mean, variance: Math.max(0, sq / n - mean * mean) };
+}
+// Re-aims a sampled group's rho at the mine counts mineOdds ended up weighing (g.posterior), or when it found no odds at
+// all, in direction (+1 more mines, -1 fewer). The mean count moves by about its variance per unit of log rho.
+// Returns whether rho moved.
+function retune(g, direction){
+  const { mean, variance } = sampledCounts(g), sd = Math.sqrt(variance);
+  let target;
+  if (direction === null) target = g.posterior.reduce((a,q,k)=> a + q * k, 0);
+  else if (direction) target = mean + direction * (2 * sd + 1);
+  else return false;
+  if (Math.abs(target - mean) <= Math.max(0.5, sd / 4)) return false;
+  g.rho *= Math.exp(Math.max(-3, Math.min(3, (target - mean) / Math.max(variance, 0.25))));
+  return true;
+}
+// How many raw samples the counts mineOdds weighs rest on: few means the odds hang on a handful of arrangements.
+function effectiveSamples(g){
+  let inv = 0;
+  g.posterior.forEach((q,k)=>{ if (q > 0) inv += q * q / g.raw[k]; });
+  return inv > 0 ? 1 / inv : 0;
+}
+
+// Odds that each hidden cell holds a mine, given the revealed numbers, the known mines in state and the mine total.
+// Hidden cells next to a number split into groups that share no number; each group is counted on its own, and the
+// groups and the unseen cells (which only the total constrains) are combined by how many mines each takes.
+// A group that needs more than budget steps is sampled instead when samples > 0 (that many sweeps, shared between the
+// chains; estimated is then true), otherwise the call returns null, as it does when no arrangement fits.
+// Cells whose chains never agreed are listed in unavailable, with no p; when a group's chains disagree on its mine
+// count, or its odds rest on too few samples, the whole group and the unseen cells (which hang on that count) are too.
+// p[i] is NaN unless i is hidden and its odds are known; sure[i] is 1 when i is safe in every arrangement and 2 when it
+// is a mine in every one (only ever set for cells whose group was counted exactly).
+export function mineOdds(grid,links,state,totalMines,budget=ODDS_BUDGET,samples=0,rng=Math.random){
+  const n = state.length; const cons = [], consOf = Array.from({length:n}, ()=>[]);
+  for (let i=0;i<n;i++){ const k = constraintAt(grid,links,state,i); if (k){ for (const x of k.hidden) consOf[x].push(cons.length); cons.push(k); } }
+  const groupOf = new Int32Array(n).fill(-1), groups = [];
+  for (let s=0;s<n;s++){
+    if (!consOf[s].length || groupOf[s] >= 0) continue;
+    const g = { cells:[], cons:new Set() }; const queue = [s]; groupOf[s] = groups.length;
+    for (let q=0;q<queue.length;q++){
+      const x = queue[q]; g.cells.push(x);
+      for (const c of consOf[x]){ g.cons.add(c); for (const y of cons[c].hidden) if (groupOf[y] < 0){ groupOf[y] = groups.length; queue.push(y); } }
+    }
+    groups.push(g);
+  }
+  let known = 0; const loose = [];
+  for (let i=0;i<n;i++){ if (state[i] === 2) known++; else if (state[i] === 0 && playable(grid,i) && groupOf[i] < 0) loose.push(i); }
+  const left = totalMines - known, F = loose.length;
+  if (left < 0) return null;
+  let estimated = false, hidden = 0;
+  for (let i=0;i<n;i++) if (state[i] === 0 && playable(grid,i)) hidden++;
+  const density = Math.min(1 - 1e-6, Math.max(1e-6, left / Math.max(1, hidden)));
+  for (const g of groups){
+    g.gc = [...g.cons].map(c=> cons[c]);
+    let found = enumerateGroup(g.cells, g.gc, budget);
+    if (!found && samples){ g.rho = density / (1 - density); found = sampleGroup(g.cells, g.gc, samples, Math.max(budget, ODDS_BUDGET), g.rho, rng); g.sampled = estimated = true; }
+    if (!found) return null;
+    Object.assign(g, found);
+  }
+  let dist, lowBefore, highBefore;
+  // Groups before k hold between lowBefore[k] and highBefore[k] mines, so only that window of totals is ever tracked.
+  const arrange = ()=>{
+    dist = groups.map(g=> Array.from({length:g.ways.length}, (_,k)=> g.ways[k] || 0));
+    lowBefore = [0]; highBefore = [0];
+    dist.forEach((d,k)=>{ lowBefore.push(lowBefore[k] + d.findIndex(x=> x > 0)); highBefore.push(highBefore[k] + d.length - 1); });
+  };
+  // Shares left mines between the groups and the unseen cells, bw(r) weighing r of them going unseen. tail[k] weighs
+  // groups k.. and the unseen cells sharing x mines, for x from left - highBefore[k]; head weighs the groups before k
+  // holding S mines, for S from lowBefore[k]. Both are rescaled as they go: only ratios are read back.
+  function spread(left, bw){
+    const G = groups.length, from = j=> Math.max(0, left - highBefore[j]), to = j=> left - lowBefore[j];
+    if (to(G) < 0) return null;
+    const rescale = a=>{ let top = 0; for (const x of a) if (x > top) top = x; if (top > 0) for (let i=0;i<a.length;i++) a[i] /= top; return a; };
+    const tail = new Array(G + 1), tailHas = new Array(G + 1);
+    tail[G] = rescale(Float64Array.from({length: to(G) - from(G) + 1}, (_,x)=> bw(from(G) + x)));
+    tailHas[G] = tail[G].map(x=> x > 0 ? 1 : 0);
+    for (let k=G-1;k>=0;k--){
+      const d = dist[k], t = tail[k+1], th = tailHas[k+1], base = from(k+1), out = new Float64Array(to(k) - from(k) + 1), outHas = new Uint8Array(out.length);
+      for (let x=from(k);x<=to(k);x++) for (let m=0;m<d.length;m++){
+        const y = d[m], at = x - m - base;
+        if (y && at >= 0 && at < t.length){ out[x - from(k)] += y * t[at]; if (th[at]) outHas[x - from(k)] = 1; }
+      }
+      tail[k] = rescale(out); tailHas[k] = outHas;
+    }
+    if (!tailHas[0][left - from(0)]) return null;
+    const p = new Float64Array(n).fill(NaN), sure = new Uint8Array(n);
+    let head = [1], headHas = [1];
+    groups.forEach((g,k)=>{
+      const t = tail[k+1], th = tailHas[k+1], base = from(k+1), weight = [], fits = [];
+      dist[k].forEach((_,m)=>{
+        let w = 0, ok = false;
+        head.forEach((x,S)=>{ const at = left - m - S - lowBefore[k] - base; if (at < 0 || at >= t.length) return; w += x * t[at]; if (headHas[S] && th[at]) ok = true; });
+        // A sampled group may have missed some counts, so then only the group's own arrangements decide sure.
+        weight[m] = w; fits[m] = estimated ? dist[k][m] > 0 : ok;
+      });
+      const total = dist[k].reduce((s,x,m)=> s + x * weight[m], 0);
+      g.posterior = dist[k].map((x,m)=> total > 0 ? x * weight[m] / total : 0);
+      g.cells.forEach((i,c)=>{
+        let mine = 0, mineOk = false, safeOk = false;
+        dist[k].forEach((x,m)=>{ if (!x) return; const y = g.cellWays[m][c]; mine += y * weight[m]; if (fits[m]){ if (y > 0) mineOk = true; if (y < x) safeOk = true; } });
+        p[i] = total > 0 ? mine / total : NaN;
+        if (!g.sampled) sure[i] = mineOk ? (safeOk ? 0 : 2) : 1;
+      });
+      // Shift the head to start at lowBefore[k+1]: the new low end pairs head[0] with the group's fewest mines.
+      const low = dist[k].findIndex(x=> x > 0), next = new Array(head.length + dist[k].length - 1 - low).fill(0), nextHas = next.map(()=> 0);
+      head.forEach((x,S)=> dist[k].forEach((y,m)=>{ if (m >= low && y){ next[S + m - low] += x * y; if (headHas[S]) nextHas[S + m - low] = 1; } }));
+      head = Array.from(rescale(Float64Array.from(next))); headHas = nextHas;
+    });
+    let den = 0, num = 0, canMine = false, canSafe = false;
+    head.forEach((x,S)=>{ const r = left - S - lowBefore[G]; den += x * bw(r); num += x * bw(r) * r; if (headHas[S] && r >= 0 && r <= F){ if (r > 0) canMine = true; if (r < F) canSafe = true; } });
+    if (!(den > 0)) return null;
+    for (const i of loose){ p[i] = num / den / F; if (!estimated) sure[i] = canMine ? (canSafe ? 0 : 2) : 1; }
+    return { p, sure, estimated };
+  }
+  // Weight of leaving r mines to the unseen cells: F choose r, relative to the likeliest r the groups allow so large
+  // boards stay in range. Far-off counts may round to nothing but never to zero, which would read as impossible.
+  const logFact = new Float64Array(F + 1);
+  for (let i=1;i<=F;i++) logFact[i] = logFact[i-1] + Math.log(i);
+  const logChoose = r=> logFact[F] - logFact[r] - logFact[F-r];
+  const combine = ()=>{
+    arrange();
+    const ref = logChoose(Math.min(F, Math.max(0, left - highBefore[groups.length], Math.min(left - lowBefore[groups.length], Math.floor(F/2)))));
+    return spread(left, r=> r < 0 || r > F ? 0 : Math.max(Number.MIN_VALUE, Math.exp(logChoose(r) - ref)));
+  };
+  let odds = combine();
+  // The chains only see the mine counts their rho favours. Until those match the counts the total favours (or, with
+  // no odds yet, reach a count it allows at all), rho is re-aimed and the group sampled again.
+  for (let round=0; estimated && round<SAMPLE_ROUNDS; round++){
+    const low = lowBefore[groups.length], high = highBefore[groups.length] + F;
+    const off = groups.filter(g=> g.sampled && retune(g, odds ? null : left > high ? 1 : left < low ? -1 : 0));
+    if (!off.length) break;
+    for (const g of off){ const found = sampleGroup(g.cells, g.gc, samples, Math.max(budget, ODDS_BUDGET), g.rho, rng); if (!found) return null; Object.assign(g, found); }
+    odds = combine();
+  }
+  // Null too when the sampled groups never reached a mine count the total allows: odds without the total would be wrong.
+  if (!odds) return null;
+  const unavailable = [];
+  for (const g of groups) if (g.sampled){
+    const thin = !g.counted || effectiveSamples(g) < SAMPLE_MIN_ESS;
+    g.cells.forEach((i,c)=>{ if (thin || g.unsure[c]) unavailable.push(i); });
+    if (thin) unavailable.push(...loose);
+  }
+  for (const i of unavailable) odds.p[i] = NaN;
+  return { ...odds, unavailable: [...new Set(unavailable)] };
+}
+
+// A hand-made puzzle has one solution when it can be cleared from its revealed cells without guessing: open whatever
+// is forced and, when the quick rules run out, ask mineOdds which cells every remaining arrangement agrees on.
+// Returns the hidden cells still undecided when that stops ([] for a unique puzzle), or null when the
+// search outgrew budget.
+export function puzzleAmbiguity(grid,adj,budget=ODDS_BUDGET){
+  const links = neighborIndexLists(grid,adj); const cells = grid.cells; const state = new Int8Array(cells.length);
+  const totalMines = cells.reduce((n,cl)=> n + (cl.mine ? 1 : 0), 0);
+  const open = i=> openKnown(cells,links,state,i);
+  cells.forEach((cl,i)=>{ if (cl.revealed && !cl.mine) open(i); });
+  const done = ()=> cells.every((cl,i)=> cl.mine || state[i] === 1 || !playable(grid,i));
+  while (!done()){
+    const found = findDeductions(grid,links,state,totalMines,false);
+    let moved = false;
+    for (const d of found) for (const i of d.cells) if (state[i] === 0){ moved = true; if (d.mine) state[i] = 2; else open(i); }
+    if (moved) continue;
+    const odds = mineOdds(grid,links,state,totalMines,budget);
+    if (!odds) return null;
+    for (let i=0;i<cells.length;i++) if (state[i] === 0 && odds.sure[i]){ moved = true; if (odds.sure[i] === 2) state[i] = 2; else open(i); }
+    if (!moved) return cells.map((_,i)=> i).filter(i=> state[i] === 0 && playable(grid,i));
+  }
+  return [];
+}
+
+// What a player can see, for scripts and bots: mines stay hidden until revealed. Each cell is { r, c, state } with state
+// 'hidden', 'flagged' (flags: how many), 'open' (count: its number), 'mine' (mines: how many) or 'void' (cut out).
+export function visibleBoard(grid){
+  const cells = grid.cells.map((cl,i)=>{
+    const r = Math.floor(i/grid.cols), c = i%grid.cols;
+    if (!playable(grid,i)) return { r, c, state:'void' };
+    if (cl.revealed) return cl.mine ? { r, c, state:'mine', mines: minesIn(cl) } : { r, c, state:'open', count: cl.count };
+    return cl.flagged ? { r, c, state:'flagged', flags: flagsOn(cl) } : { r, c, state:'hidden' };
+  });
+  return { rows: grid.rows, cols: grid.cols, tiling: grid.tiling, topology: grid.topology || 'plain', perCell: grid.perCell || 1, cells };
+}
+// The grid a view describes, holding only what it shows, so solvers can run on it.
+export function gridFromView(view){
+  const mask = view.cells.some(v=> v.state === 'void') ? view.cells.map(v=> v.state === 'void' ? 0 : 1) : null;
+  const grid = createGrid(view.rows, view.cols, view.tiling, mask, view.topology || 'plain');
+  grid.perCell = view.perCell || 1;
+  view.cells.forEach((v,i)=>{
+    const cl = grid.cells[i];
+    if (v.state === 'open'){ cl.revealed = true; cl.count = v.count; }
+    else if (v.state === 'mine'){ cl.revealed = true; cl.mine = true; if (v.mines > 1) cl.mines = v.mines; }
+    else if (v.state === 'flagged'){ cl.flagged = true; if (v.flags > 1) cl.flags = v.flags; }
+  });
+  return grid;
+}
@@ -0,0 +1,41 @@
+// Engine checks, run with `node --test test/` (Node 18+; no install needed).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGrid, placeMines, neighborIndexLists, makeRng, mineOdds } from '../docs/engine.js';
+
+// A part-played board: random safe clicks, each flooding out from zeros like a real reveal, until share of it is open.
+function playedBoard(rows, cols, mines, share, rng){
+  const g = createGrid(rows, cols, 'square'); placeMines(g, mines, [0,0], 'all8', rng);
+  const links = neighborIndexLists(g, 'all8'), n = rows * cols, state = new Int8Array(n);
+  const order = [...Array(n).keys()].filter(i=> !g.cells[i].mine).sort(()=> rng() - 0.5);
+  let opened = 0;
+  for (const s of order){
+    if (opened > share * (n - mines)) break;
+    const stack = [s];
+    while (stack.length){ const j = stack.pop(); if (state[j]) continue; state[j] = 1; opened++; if (g.cells[j].count === 0) for (const k of links.nbrs[j]) if (!state[k] && !g.cells[k].mine) stack.push(k); }
+  }
+  return { g, links, state };
+}
+
+// A budget of 1 forces every group through the sampler, so its odds can be held against the exact ones.
+test('sampled odds never put a mine where no arrangement can', ()=>{
+  const rng = makeRng('odds');
+  let compared = 0;
+  for (const [rows, cols, mines, share] of [[8,8,10,0.5],[16,16,40,0.35],[16,30,99,0.3],[16,30,99,0.5]]) for (let t=0;t<3;t++){
+    const { g, links, state } = playedBoard(rows, cols, mines, share, rng);
+    const exact = mineOdds(g, links, state, mines, 2e6);
+    if (!exact) continue;
+    const sampled = mineOdds(g, links, state, mines, 1, 400, rng);
+    assert.ok(sampled, 'sampling should find odds wherever exact counting does');
+    let expected = 0;
+    exact.p.forEach((p,i)=>{
+      if (isNaN(p)) return;
+      compared++;
+      if (p === 0) assert.ok(!(sampled.p[i] > 0), `cell ${i} is safe in every arrangement but shows ${sampled.p[i]}`);
+      expected += sampled.p[i];
+    });
+    // With nothing left out, the odds add up to the mines still unaccounted for.
+    if (!sampled.unavailable.length) assert.ok(Math.abs(expected - mines) < 0.5, `odds add up to ${expected} mines, not ${mines}`);
+  }
+  assert.ok(compared > 0);
+});
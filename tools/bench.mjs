@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// Plays seeded games with a bot and reports how often it wins, to tell whether an adjacency can be played without luck.
+//   node tools/bench.mjs --games 200 --rows 16 --cols 16 --mines 40 --adj all8 --bot logic
+// --adj takes a built-in name, a JSON offset list like '[[1,2],[2,1,-1]]', or a pattern name from --patterns (an
+// exported polyweave-patterns.json). --bot is logic, random or a path to a module whose default export is a bot
+// (see docs/bots.js). Games are won once every safe cell is open, flags or not.
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createGrid, TILINGS, TOPOLOGIES, SHAPES, ADJ_LABELS, defaultAdjacency, shapeMask, playableCount, makeRng, placeMines, applyMove, checkWin, boardMetrics, visibleBoard } from '../docs/engine.js';
+import { BOTS } from '../docs/bots.js';
+
+const DEFAULTS = { games: 100, rows: 16, cols: 16, mines: 40, tiling: 'square', adj: '', patterns: '', topology: 'plain', shape: 'rect', seed: 'bench', bot: 'logic', json: false };
+
+function parseArgs(argv){
+  const opts = { ...DEFAULTS };
+  for (let k=0;k<argv.length;k++){
+    const key = argv[k].replace(/^--/, '');
+    if (key === 'help' || key === 'h'){ opts.help = true; continue; }
+    if (!(key in DEFAULTS)) throw new Error(`unknown option ${argv[k]}`);
+    if (typeof DEFAULTS[key] === 'boolean'){ opts[key] = true; continue; }
+    if (k + 1 >= argv.length) throw new Error(`${argv[k]} needs a value`);
+    opts[key] = typeof DEFAULTS[key] === 'number' ? Number(argv[++k]) : argv[++k];
+  }
+  for (const key of ['games','rows','cols','mines']) if (!Number.isInteger(opts[key]) || opts[key] < 1) throw new Error(`--${key} must be a positive whole number`);
+  if (!TILINGS[opts.tiling]) throw new Error(`--tiling must be one of ${Object.keys(TILINGS).join(', ')}`);
+  if (!TOPOLOGIES[opts.topology]) throw new Error(`--topology must be one of ${Object.keys(TOPOLOGIES).join(', ')}`);
+  if (!SHAPES[opts.shape]) throw new Error(`--shape must be one of ${Object.keys(SHAPES).join(', ')}`);
+  return opts;
+}
+function isOffsets(v){ return Array.isArray(v) && v.length > 0 && v.every(o=> Array.isArray(o) && (o.length === 2 || o.length === 3) && o.every(Number.isInteger)); }
+// Returns the adjacency to play with and a label for the report.
+function readAdjacency(opts){
+  if (opts.patterns){
+    const lib = JSON.parse(readFileSync(opts.patterns, 'utf8'));
+    const offsets = lib && lib.patterns && lib.patterns[opts.adj];
+    if (!isOffsets(offsets)) throw new Error(`no pattern "${opts.adj}" in ${opts.patterns}`);
+    return { adj: offsets, label: opts.adj };
+  }
+  if (opts.adj.trim().startsWith('[')){
+    const offsets = JSON.parse(opts.adj);
+    if (!isOffsets(offsets)) throw new Error('--adj offsets must be [dr, dc] or [dr, dc, w] whole numbers');
+    return { adj: offsets, label: `custom (${offsets.length})` };
+  }
+  const adj = opts.adj || defaultAdjacency(opts.tiling);
+  if (!TILINGS[opts.tiling].adj.includes(adj)) throw new Error(`--adj ${adj} isn't offered on ${opts.tiling}; try ${TILINGS[opts.tiling].adj.join(', ')}`);
+  return { adj, label: ADJ_LABELS[adj] || adj };
+}
+async function loadBot(name){
+  if (BOTS[name]) return BOTS[name];
+  const mod = await import(pathToFileURL(resolve(name)).href);
+  if (typeof mod.default !== 'function') throw new Error(`${name} has no default export to play with`);
+  return mod.default;
+}
+
+// One game: the bot's first reveal places the mines (it and its neighbours stay safe), as a first click does in the app.
+// A turn whose moves change nothing ends the game as stuck.
+async function playGame(bot, opts, adj, g){
+  const rng = makeRng(`${opts.seed}:${g}`);
+  const grid = createGrid(opts.rows, opts.cols, opts.tiling, shapeMask(opts.shape, opts.rows, opts.cols), opts.topology);
+  const mines = Math.min(opts.mines, playableCount(grid) - 1);
+  let placed = false, bbbv = 0, guesses = 0, result = null;
+  while (!result){
+    const view = { ...visibleBoard(grid), adjacency: adj, mines, status: placed ? 'playing' : 'ready' };
+    let changed = 0;
+    for (const move of [].concat(await bot(view, rng) || [])){
+      if (!placed){
+        if (move.a !== 'reveal') continue;
+        placeMines(grid, mines, [move.r, move.c], adj, rng);
+        bbbv = boardMetrics(grid, adj).bbbv; placed = true;
+      }
+      if (move.guess) guesses++;
+      const res = applyMove(grid, move, adj);
+      changed += res.changed.length;
+      if (res.exploded){ result = 'lost'; break; }
+      if (checkWin(grid, true)){ result = 'won'; break; }
+    }
+    if (!result && !changed) result = 'stuck';
+  }
+  return { result, bbbv, guesses };
+}
+
+async function main(){
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help){ const head = readFileSync(new URL(import.meta.url), 'utf8').split('\n').slice(1); console.log(head.slice(0, head.findIndex(l=> !l.startsWith('//'))).map(l=> l.slice(3)).join('\n')); return; }
+  const { adj, label } = readAdjacency(opts);
+  const bot = await loadBot(opts.bot);
+  const t0 = Date.now(); const games = [];
+  for (let g=0;g<opts.games;g++) games.push(await playGame(bot, opts, adj, g));
+  const count = r=> games.filter(x=> x.result === r).length;
+  const mean = (list, f)=> list.length ? list.reduce((s,x)=> s + f(x), 0) / list.length : 0;
+  const won = games.filter(x=> x.result === 'won');
+  const report = {
+    bot: opts.bot, tiling: opts.tiling, rows: opts.rows, cols: opts.cols, mines: opts.mines, adjacency: label, topology: opts.topology, shape: opts.shape, seed: opts.seed,
+    games: games.length, won: won.length, lost: count('lost'), stuck: count('stuck'), winRate: won.length / games.length,
+    bbbv: mean(games, x=> x.bbbv), wonBbbv: mean(won, x=> x.bbbv), guesses: mean(games, x=> x.guesses), ms: Date.now() - t0
+  };
+  if (opts.json){ console.log(JSON.stringify(report, null, 2)); return; }
+  console.log(`${report.bot} bot · ${report.tiling} ${report.rows}×${report.cols} · ${report.mines} mines · ${report.adjacency}${report.topology !== 'plain' ? ` · ${report.topology}` : ''}${report.shape !== 'rect' ? ` · ${report.shape}` : ''} · seed "${report.seed}"`);
+  console.log(`won ${report.won} of ${report.games} (${(100 * report.winRate).toFixed(1)}%) · lost ${report.lost} · stuck ${report.stuck}`);
+  console.log(`average 3BV ${report.bbbv.toFixed(1)} (won games ${report.wonBbbv.toFixed(1)}) · ${report.guesses.toFixed(2)} guesses per game · ${(report.ms / 1000).toFixed(1)}s`);
+}
+
+main().catch(e=>{ console.error(`bench: ${e.message}`); process.exitCode = 1; });